@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+"use strict";
+/**
+ * Command-line tool which converts .psvg.json files to .svg files without a browser
+ *
+ * Usage:
+ *  psvg build <files or globs...> [options]
+ *
+ * Options:
+ *  --out <dir>             Write the SVGs to <dir> (by default, next to their sources)
+ *  --variant <name>        Render the named variant (can be repeated); the variant is added to the file name
+ *  --all-variants          Render the default values and every variant of each file
+ *  --param <name=value>    Override the value of an equation (can be repeated)
+ *  --check                 Only parse the files; exits with 1 if any file fails to parse
+ *  --watch                 Rebuild files when they (or the files they import) change
+ *
+ * Globs support "*", "?" and "**" (e.g.- "src/**\/*.psvg.json"), so they can be quoted to avoid
+ * depending on the shell's expansion. node_modules and dot-directories are not searched.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL, fileURLToPath } from "node:url";
+import { ParametricSVG } from "../js/parametricsvg.js";
+import { evaluateEquation, compileEquations } from "../js/equations.js";
+
+const USAGE = `Usage: psvg build <files or globs...> [--out <dir>] [--variant <name>]... [--all-variants]
+                  [--param <name=value>]... [--check] [--watch]`;
+
+/** The extension of PSVG files, which is replaced with .svg */
+const EXTENSION = ".psvg.json";
+
+/**
+ * @typedef {Object} Options
+ * @property {string[]} patterns - The files or globs to build
+ * @property {string} [out] - The output directory
+ * @property {string[]} variants - The variants to render ("" is the default values)
+ * @property {boolean} allVariants - Whether to render every variant
+ * @property {Object<string, string>} params - Overrides for the equations
+ * @property {boolean} check - Whether to only check the files
+ * @property {boolean} watch - Whether to rebuild files when they change
+ *
+ * @typedef {Object} BuildResult
+ * @property {boolean} success - Whether the file was rendered without errors
+ * @property {string[]} [imports] - The paths of the files imported by the file (see ParametricSVG.resolveImports);
+ *      undefined if the imports could not be resolved
+ */
+
+/**
+ * An error caused by the arguments of the command
+ */
+class UsageError extends Error{
+    constructor(message){
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+/**
+ * Parses the command-line arguments
+ * @param {string[]} args - The arguments (excluding node and the script)
+ * @returns {Options}
+ */
+function parseArguments(args){
+    let [command, ...rest] = args;
+    if(command !== "build") throw new UsageError(command ? `Unknown command: ${command}` : "No command provided");
+    /** @type {Options} */
+    let options = {patterns: [], variants: [], allVariants: false, params: {}, check: false, watch: false};
+    for(let i = 0; i < rest.length; i++){
+        let arg = rest[i];
+        let value = ()=>{
+            if(i+1 >= rest.length) throw new UsageError(`${arg} requires a value`);
+            return rest[++i];
+        };
+        switch(arg){
+            case "--out":
+                options.out = value();
+                break;
+            case "--variant":
+                options.variants.push(value());
+                break;
+            case "--all-variants":
+                options.allVariants = true;
+                break;
+            case "--param":{
+                let param = value();
+                let split = param.indexOf("=");
+                if(split < 1) throw new UsageError(`Invalid parameter (expected name=value): ${param}`);
+                options.params[param.slice(0, split).trim()] = param.slice(split+1).trim();
+                break;
+            }
+            case "--check":
+                options.check = true;
+                break;
+            case "--watch":
+                options.watch = true;
+                break;
+            default:
+                if(arg.startsWith("--")) throw new UsageError(`Unknown option: ${arg}`);
+                options.patterns.push(arg);
+        }
+    }
+    if(!options.patterns.length) throw new UsageError("No files provided");
+    if(!options.variants.length) options.variants.push("");
+    return options;
+}
+
+/**
+ * Converts a glob to a regular expression which matches paths using "/" as the separator
+ * @param {string} glob - The glob to convert
+ * @returns {RegExp}
+ */
+function globToRegExp(glob){
+    let source = "";
+    for(let i = 0; i < glob.length; i++){
+        let char = glob[i];
+        if(char == "*" && glob[i+1] == "*"){
+            // "**/" matches any number of directories (including none)
+            let slash = glob[i+2] == "/";
+            source += slash ? "(?:.*/)?" : ".*";
+            i += slash ? 2 : 1;
+        }else if(char == "*"){
+            source += "[^/]*";
+        }else if(char == "?"){
+            source += "[^/]";
+        }else{
+            source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists the files matched by a file path or glob
+ * @param {string} pattern - The file path or glob
+ * @returns {{base: string, files: string[]}} - The directory the glob is relative to and the matched files
+ */
+function expandPattern(pattern){
+    pattern = pattern.split(path.sep).join("/");
+    if(!/[*?]/.test(pattern)){
+        return {base: path.dirname(pattern), files: fs.existsSync(pattern) ? [path.normalize(pattern)] : []};
+    }
+    // The directories before the first wildcard do not need to be searched
+    let parts = pattern.split("/");
+    let wildcard = parts.findIndex(part=>/[*?]/.test(part));
+    let base = parts.slice(0, wildcard).join("/") || ".";
+    let regexp = globToRegExp(parts.slice(wildcard).join("/"));
+    let files = listFiles(base)
+        .filter(file=>regexp.test(path.relative(base, file).split(path.sep).join("/")));
+    return {base, files};
+}
+
+/**
+ * Lists the files in a directory and its subdirectories, skipping node_modules and
+ * dot-directories (e.g.- .git) so globs do not search (or match) dependencies
+ * @param {string} directory - The directory to search
+ * @returns {string[]} - The paths of the files (joined to the directory)
+ */
+function listFiles(directory){
+    let files = [];
+    for(let entry of fs.readdirSync(directory, {withFileTypes: true})){
+        let file = path.join(directory, entry.name);
+        if(entry.isDirectory()){
+            if(entry.name == "node_modules" || entry.name.startsWith(".")) continue;
+            files.push(...listFiles(file));
+        }else if(entry.isFile()){
+            files.push(file);
+        }
+    }
+    return files;
+}
+
+/**
+ * Returns the path of the SVG for a PSVG file
+ * @param {string} file - The PSVG file
+ * @param {string} base - The directory which the file's location in the output directory is relative to
+ * @param {string} variant - The variant being rendered
+ * @param {Options} options
+ * @returns {string}
+ */
+function outputPath(file, base, variant, options){
+    let name = file.endsWith(EXTENSION) ? file.slice(0, -EXTENSION.length) : file.replace(/\.json$/, "");
+    if(variant) name += `.${variant}`;
+    name += ".svg";
+    if(!options.out) return name;
+    return path.join(options.out, path.relative(base, name));
+}
+
+/**
+ * Describes the location of a ParametricSVGError
+ * @param {Array<string|number>} [location] - The path of the error
+ * @param {number} [offset] - The offset of the error in the value
+ * @returns {string}
+ */
+function formatLocation(location, offset){
+    if(!location?.length) return "";
+    let formatted = location.map((key, i)=>typeof key == "number" ? `[${key}]` : i ? `.${key}` : key).join("");
+    if(offset !== undefined) formatted += ` (offset ${offset})`;
+    return `${formatted}: `;
+}
+
+/**
+ * Reads a PSVG file
+ * @param {string} url - The file URL of the file
+ * @returns {JsonDescription}
+ */
+function loadDescription(url){
+    return JSON.parse(fs.readFileSync(fileURLToPath(url), "utf8"));
+}
+
+/**
+ * Renders a PSVG file and (unless checking) writes its SVGs
+ * @param {string} file - The PSVG file
+ * @param {string} base - The directory which the file's location in the output directory is relative to
+ * @param {Options} options
+ * @returns {Promise<BuildResult>}
+ */
+async function buildFile(file, base, options){
+    let description;
+    let imports = [];
+    try{
+        let url = pathToFileURL(path.resolve(file)).href;
+        let resolved = await ParametricSVG.resolveImports(loadDescription(url), url, loadDescription);
+        description = resolved.description;
+        imports = resolved.imports.map(url=>fileURLToPath(url));
+    }catch(e){
+        console.error(`${file}: ${formatLocation(e.path, e.offset)}${e.message}`);
+        return {success: false};
+    }
+    // Files which only provide equations and components to other files (see imports) have nothing to render
+    if(!Array.isArray(description.svgcomponents)){
+        console.log(`${file}: skipped (no svgcomponents)`);
+        return {success: true, imports};
+    }
+    let variants = options.allVariants ? ["", ...Object.keys(description.variants ?? {})] : options.variants;
+    let success = true;
+    for(let variant of variants){
+        let label = variant ? `${file} (${variant})` : file;
+        let markup;
+        try{
+            let overrides = ParametricSVG.getVariant(description, variant, options.params);
+            markup = ParametricSVG.renderString(description, undefined, overrides, true);
+            // Attributes which use a broken equation are rendered as-is, so its error would go unnoticed
+            let errors = ParametricSVG.checkEquations(description, overrides);
+            if(errors.length){
+                for(let e of errors) console.error(`${label}: ${formatLocation(e.path, e.offset)}${e.message}`);
+                success = false;
+                continue;
+            }
+        }catch(e){
+            console.error(`${label}: ${formatLocation(e.path, e.offset)}${e.message}`);
+            success = false;
+            continue;
+        }
+        if(options.check){
+            console.log(`${label}: OK`);
+            continue;
+        }
+        let output = outputPath(file, base, variant, options);
+        fs.mkdirSync(path.dirname(output), {recursive: true});
+        fs.writeFileSync(output, markup);
+        console.log(`${label} -> ${output}`);
+    }
+    return {success, imports};
+}
+
+/**
+ * Rebuilds files whenever they (or the files they import) change. Runs until the process is stopped.
+ * @param {Array<{file: string, base: string}>} inputs - The files to watch
+ * @param {Map<string, string[]>} imports - The paths of the files imported by each input (see BuildResult)
+ * @param {Options} options
+ */
+function watchFiles(inputs, imports, options){
+    /** @type {Set<string>} The absolute paths of the inputs and their imports */
+    let files = new Set();
+    /** @type {Map<string, fs.FSWatcher>} The watchers of the directories containing the files */
+    let watchers = new Map();
+    /** @type {Map<string, NodeJS.Timeout>} */
+    let pending = new Map();
+
+    /**
+     * Watches the inputs and their imports and stops watching files which are no longer imported.
+     * Directories are watched instead of the files themselves, because editors which save by writing a
+     * temporary file and renaming it replace the file that a watcher would be bound to.
+     */
+    function updateWatchers(){
+        files = new Set(inputs.flatMap(({file})=>[path.resolve(file), ...(imports.get(file) ?? [])]));
+        let directories = new Set([...files].map(file=>path.dirname(file)));
+        for(let [directory, watcher] of watchers){
+            if(directories.has(directory)) continue;
+            watcher.close();
+            watchers.delete(directory);
+        }
+        for(let directory of directories){
+            if(watchers.has(directory) || !fs.existsSync(directory)) continue;
+            watchers.set(directory, fs.watch(directory, (event, filename)=>{
+                if(!filename) return;
+                let file = path.join(directory, filename.toString());
+                if(files.has(file)) changed(file);
+            }));
+        }
+    }
+
+    /**
+     * Rebuilds the inputs which are (or import) a changed file
+     * @param {string} changedfile - The absolute path of the file
+     */
+    function changed(changedfile){
+        // Editors often write a file in several steps
+        clearTimeout(pending.get(changedfile));
+        pending.set(changedfile, setTimeout(async ()=>{
+            pending.delete(changedfile);
+            for(let {file, base} of inputs){
+                if(path.resolve(file) != changedfile && !imports.get(file)?.includes(changedfile)) continue;
+                if(!fs.existsSync(file)) continue;
+                let {imports: fileimports} = await buildFile(file, base, options);
+                // Files whose imports could not be resolved keep watching their previous imports
+                if(fileimports) imports.set(file, fileimports);
+            }
+            updateWatchers();
+        }, 100));
+    }
+
+    updateWatchers();
+    console.log(`Watching ${inputs.length} file(s) and ${files.size - inputs.length} import(s) for changes...`);
+}
+
+/**
+ * Runs the command
+ * @param {string[]} args - The command-line arguments (excluding node and the script)
+ * @returns {Promise<number>} - The exit code
+ */
+async function main(args){
+    if(!args.length || args.includes("--help") || args.includes("-h")){
+        console.log(USAGE);
+        return args.length ? 0 : 1;
+    }
+    let options;
+    try{
+        options = parseArguments(args);
+    }catch(e){
+        if(!(e instanceof UsageError)) throw e;
+        console.error(`${e.message}\n${USAGE}`);
+        return 2;
+    }
+
+    ParametricSVG.evaluator = evaluateEquation;
+    ParametricSVG.compiler = compileEquations;
+
+    /** @type {Map<string, {file: string, base: string}>} */
+    let inputs = new Map();
+    for(let pattern of options.patterns){
+        let {base, files} = expandPattern(pattern);
+        if(!files.length) console.error(`No files match ${pattern}`);
+        for(let file of files){
+            if(!inputs.has(file)) inputs.set(file, {file, base});
+        }
+    }
+    if(!inputs.size) return 1;
+
+    let failed = 0;
+    /** @type {Map<string, string[]>} */
+    let imports = new Map();
+    for(let {file, base} of inputs.values()){
+        let result = await buildFile(file, base, options);
+        if(!result.success) failed++;
+        if(result.imports) imports.set(file, result.imports);
+    }
+    if(failed) console.error(`${failed} of ${inputs.size} file(s) failed`);
+
+    if(options.watch){
+        watchFiles([...inputs.values()], imports, options);
+        return 0;
+    }
+    return failed ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
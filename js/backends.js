@@ -0,0 +1,142 @@
+"use strict";
+/**
+ * Rendering backends used by ParametricSVG.parseJSON to build SVG elements
+ *
+ * DOMBackend creates DOM Elements and is used by the preview (or wherever a document is available).
+ * StringBackend creates plain objects and serializes them without a DOM, so that ParametricSVG can run
+ * in Node (e.g.- build scripts and the extension host). Its serializer follows the HTML fragment
+ * serialization algorithm used by outerHTML, so both backends produce the same markup (except for no-break
+ * spaces, which StringBackend writes as "&#160;" so that its markup is well-formed XML).
+ *
+ * Restrictions:
+ *  - setAttribute does not namespace attributes: use setAttributeNS for prefixed names (e.g.- "xlink:href")
+ */
+
+/**
+ * @typedef {Object} RenderBackend
+ * @property {function(string, string): *} createElement - Creates an element with the given namespace and type
+ * @property {function(*, string, *): void} setAttribute - Sets an attribute of an element (the value is converted to a string)
+ * @property {function(*, string, string, *): void} setAttributeNS - Sets an attribute with the given namespace and qualified name
+ * @property {function(*, string): (string|null)} getAttribute - Returns the value of an attribute of an element, or null if it is not set
+ * @property {function(*, *): void} setText - Replaces the contents of an element with text
+ * @property {function(*, *): void} appendChild - Appends an element to another element
+ * @property {function(*, string): void} appendText - Appends text to an element
+ * @property {function(*, string): void} appendComment - Appends a comment to an element
+ * @property {function(*): string} serialize - Returns the markup of an element, including the element itself
+ *
+ * An element created by StringBackend
+ * @typedef {Object} StringElement
+ * @property {string} namespace - The namespace of the element
+ * @property {string} type - The type (tag name) of the element
+ * @property {Map<string, string>} attributes - The attributes of the element, in the order they were first set
+ * @property {Array<StringElement|{text: string}|{comment: string}>} children - The contents of the element
+ */
+
+/** Matches valid attribute names (a simplified form of the XML Name production) */
+const ATTRIBUTENAMEREG = /^[A-Za-z_:\u00C0-\uFFFF][-A-Za-z0-9_:.\u00B7\u00C0-\uFFFF]*$/;
+/** The prefixes outerHTML always uses for attributes in these namespaces, whatever prefix they were set with */
+const SERIALIZEDPREFIXES = {
+    "http://www.w3.org/XML/1998/namespace": "xml",
+    "http://www.w3.org/2000/xmlns/": "xmlns",
+    "http://www.w3.org/1999/xlink": "xlink"
+};
+
+/**
+ * Escapes text or attribute values as outerHTML does (following the current HTML standard,
+ * which also escapes "<" and ">" in attribute values). No-break spaces are written as "&#160;"
+ * instead of outerHTML's "&nbsp;", which is not defined in XML, so that the markup is a well-formed SVG file.
+ * @param {string} value - The value to escape
+ * @param {boolean} attribute - Whether the value is an attribute value
+ * @returns {string}
+ */
+function escapeMarkup(value, attribute){
+    value = value.replace(/&/g, "&amp;").replace(/\u00A0/g, "&#160;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    if(attribute) value = value.replace(/"/g, "&quot;");
+    return value;
+}
+
+/**
+ * Creates and serializes DOM Elements (requires a document)
+ * @type {RenderBackend}
+ */
+export var DOMBackend = {
+    createElement : function(namespace, type){
+        return document.createElementNS(namespace, type);
+    },
+    setAttribute : function(element, name, value){
+        element.setAttribute(name, value);
+    },
+    setAttributeNS : function(element, namespace, name, value){
+        element.setAttributeNS(namespace, name, value);
+    },
+    getAttribute : function(element, name){
+        return element.getAttribute(name);
+    },
+    setText : function(element, text){
+        element.textContent = text;
+    },
+    appendChild : function(parent, child){
+        parent.appendChild(child);
+    },
+    appendText : function(parent, text){
+        parent.appendChild(document.createTextNode(text));
+    },
+    appendComment : function(parent, text){
+        parent.appendChild(document.createComment(text));
+    },
+    serialize : function(element){
+        return element.outerHTML;
+    }
+}
+
+/**
+ * Creates StringElements and serializes them without a DOM
+ * @type {RenderBackend}
+ */
+export var StringBackend = {
+    createElement : function(namespace, type){
+        return {namespace, type, attributes: new Map(), children: []};
+    },
+    setAttribute : function(element, name, value){
+        name = String(name);
+        if(!ATTRIBUTENAMEREG.test(name)){
+            throw new Error(`"${name}" is not a valid attribute name`);
+        }
+        element.attributes.set(name, String(value));
+    },
+    setAttributeNS : function(element, namespace, name, value){
+        name = String(name);
+        let prefix = SERIALIZEDPREFIXES[namespace];
+        if(prefix !== undefined && ATTRIBUTENAMEREG.test(name)){
+            let local = name.slice(name.indexOf(":")+1);
+            name = prefix == "xmlns" && local == "xmlns" ? local : `${prefix}:${local}`;
+        }
+        StringBackend.setAttribute(element, name, value);
+    },
+    getAttribute : function(element, name){
+        return element.attributes.get(name) ?? null;
+    },
+    setText : function(element, text){
+        // Same as setting textContent: null and undefined remove the element's contents
+        element.children = text === null || text === undefined || text === "" ? [] : [{text: String(text)}];
+    },
+    appendChild : function(parent, child){
+        parent.children.push(child);
+    },
+    appendText : function(parent, text){
+        parent.children.push({text: String(text)});
+    },
+    appendComment : function(parent, text){
+        parent.children.push({comment: String(text)});
+    },
+    serialize : function(element){
+        if(element.comment !== undefined) return `<!--${element.comment}-->`;
+        if(element.text !== undefined) return escapeMarkup(element.text, false);
+        let attributes = "";
+        for(let [name, value] of element.attributes){
+            attributes += ` ${name}="${escapeMarkup(value, true)}"`;
+        }
+        let children = element.children.map(child=>StringBackend.serialize(child)).join("");
+        return `<${element.type}${attributes}>${children}</${element.type}>`;
+    }
+}
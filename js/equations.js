@@ -1,7 +1,16 @@
 "use strict";
 /**
  * Module for parsing and evaluating equations
- * 
+ *
+ * Equations are evaluated in three steps:
+ *  1) tokenize splits the equation into numbers, identifiers, operators and punctuation
+ *  2) parseEquation builds an Abstract Syntax Tree (AST) from the tokens
+ *  3) evaluateEquation walks the AST, resolving variables as they are encountered
+ *
+ * When many equations share the same Variables (e.g.- when rendering a PSVG), compileEquations
+ * parses every Variable once into a dependency graph and resolveEquations evaluates the graph in
+ * topological order. Neither function modifies the Variables that are provided to them.
+ *
  * Restrictions:
  *  - Variable names must start with a letter or underscore and be composed of values [a-zA-Z0-9_]
  *  - Variable names must be unique within an execution of evaluateEquation
@@ -9,7 +18,13 @@
  *  - Decimal points must be preceded by a digit
  *  - Implicit multiplication is not allowed (e.g.- "2x" and "4(x+1)" are invalid and should instead be "2*x" and "4*(x+1)")
  *  - Parentheses must be closed
- * 
+ *  - Function arguments are separated by commas (e.g.- "max(a, b)")
+ *  - Variables take precedence over CONSTANTS of the same name; FUNCTIONS are only
+ *    recognized when followed by an opening parenthesis
+ *  - Unary operators bind more tightly than any binary operator (e.g.- "-2^2" is 4)
+ *  - Comparison and boolean operators return 1 (true) or 0 (false); any non-zero value is true
+ *  - Conditionals can be written as "condition ? a : b" or "if(condition, a, b)"; only the chosen branch is evaluated
+ *
  * Variables are stored as objects in order to include metadata that may be useful.
  */
 
@@ -17,223 +32,579 @@
  * @typedef {String} VariableName
  * @typedef {String} Equation
  * @typedef {Number} Result
- * 
+ *
  * @typedef {Object} Variable
  * @property {VariableName} name - The name of the variable
  * @property {Equation|Result} value - The value of the variable
  * @property {Boolean} disabled - Whether the variable is disabled
  * @property {String} comment - A comment for the variable
- * 
+ *
  * @typedef {Map<VariableName, Variable>} Variables
+ *
+ * @typedef {Object} EquationFunction
+ * @property {function} func - The function to call with the evaluated arguments
+ * @property {Number} [args] - The number of arguments the function requires; if undefined, the function accepts one or more arguments
+ * @property {Boolean} [lazy] - If true, func receives its arguments as functions which must be called to evaluate them
+ *
+ * @typedef {Object} Token
+ * @property {"number"|"identifier"|"operator"|"("|")"|","|"?"|":"|"end"} type - The type of token
+ * @property {String} value - The text of the token as it appears in the equation
+ * @property {Number} start - The offset of the first character of the token in the equation
+ * @property {Number} end - The offset after the last character of the token in the equation
+ *
+ * @typedef {Object} Node
+ * @property {"number"|"variable"|"unary"|"binary"|"call"|"conditional"} type - The type of node
+ * @property {Number} start - The offset of the first character of the node in the equation
+ * @property {Number} end - The offset after the last character of the node in the equation
+ * @property {Number} [value] - The value of a number node
+ * @property {VariableName|String} [name] - The name of a variable or call node
+ * @property {String} [operator] - The operator of a unary or binary node
+ * @property {Node} [operand] - The operand of a unary node
+ * @property {Node} [left] - The left-hand side of a binary node
+ * @property {Node} [right] - The right-hand side of a binary node
+ * @property {Node[]} [args] - The arguments of a call node
+ * @property {Node} [test] - The condition of a conditional node
+ * @property {Node} [consequent] - The node evaluated when the condition of a conditional node is true
+ * @property {Node} [alternate] - The node evaluated when the condition of a conditional node is false
+ *
+ * A Variable which has been parsed by compileEquations
+ * @typedef {Object} CompiledVariable
+ * @extends {Variable}
+ * @property {Node} [node] - The parsed equation (undefined if the variable is disabled or failed to parse)
+ * @property {Error} [error] - The error raised while parsing the equation
+ * @property {VariableName[]} dependencies - The variables referenced by the equation
+ *
+ * @typedef {Object} CompiledEquations
+ * @property {Object<VariableName, CompiledVariable>} variables - The compiled variables
+ * @property {VariableName[]} order - The variable names in topological order (dependencies first)
+ * @property {function(Object<VariableName, Equation|Result>=): Variables} resolve - Evaluates the compiled variables with optional overrides (see resolveEquations)
  */
- 
 
 /**
- * Parses and evaluates an equation.
- * @param {Equation} equation - The equation to evaluate
- * @param {Variables} variables - The variables to use
- * @param {VariableName[]} [dependencies] - Variables that are dependent on the equation (this is normally not supplied by the user)
- * @returns {Number} - The result of the equation
+ * Constants which can be used in any equation. Can be extended as needed.
+ * @type {Object<VariableName, Result>}
  */
-export function evaluateEquation(equation, variables = {}, dependencies = undefined){
-    if(dependencies == undefined) dependencies = [];
+export var CONSTANTS = {
+    pi: Math.PI,
+    tau: Math.PI * 2,
+    e: Math.E,
+};
 
-    // Set to undefined to disable debugging,
-    // otherwise should be an integer representing spacing per indent
-    var DEBUGTAB = true;
-    function log(...args){
-        if(typeof DEBUGTAB == "undefined") return;
-        console.log(" ".repeat(DEBUGTAB*2), ...args);
-    }
-    var DEBUGDEC = ()=>{if (typeof DEBUGTAB != "undefined") DEBUGTAB--;}
-    var DEBUGINC = ()=>{if (typeof DEBUGTAB != "undefined") DEBUGTAB++;}    
+/**
+ * Functions which can be called in any equation (e.g.- "sin(pi/2)"). Can be extended as needed.
+ * Trigonometric functions use radians: deg and rad are provided for conversions.
+ * @type {Object<String, EquationFunction>}
+ */
+export var FUNCTIONS = {
+    sin: {args: 1, func: Math.sin},
+    cos: {args: 1, func: Math.cos},
+    tan: {args: 1, func: Math.tan},
+    asin: {args: 1, func: Math.asin},
+    acos: {args: 1, func: Math.acos},
+    atan: {args: 1, func: Math.atan},
+    atan2: {args: 2, func: Math.atan2},
+    sqrt: {args: 1, func: Math.sqrt},
+    abs: {args: 1, func: Math.abs},
+    sign: {args: 1, func: Math.sign},
+    exp: {args: 1, func: Math.exp},
+    log: {args: 1, func: Math.log},
+    pow: {args: 2, func: Math.pow},
+    hypot: {func: Math.hypot},
+    min: {func: Math.min},
+    max: {func: Math.max},
+    round: {args: 1, func: Math.round},
+    floor: {args: 1, func: Math.floor},
+    ceil: {args: 1, func: Math.ceil},
+    deg: {args: 1, func: (radians)=>radians * 180 / Math.PI},
+    rad: {args: 1, func: (degrees)=>degrees * Math.PI / 180},
+    clamp: {args: 3, func: (value, min, max)=>Math.min(Math.max(value, min), max)},
+    lerp: {args: 3, func: (a, b, t)=>a + (b - a) * t},
+    if: {args: 3, lazy: true, func: (condition, a, b)=>condition() ? a() : b()},
+};
+
+/**
+ * Binary operators grouped by priority (highest first). All binary operators are left-associative.
+ * Operators flagged as lazy receive their operands as functions so that they can short-circuit.
+ * The conditional operator ("?:") has a lower priority than all of these operators.
+ * @type {Array<Array<[String, function, Boolean?]>>}
+ */
+export var OPERATIONPRIORITY = [
+    [
+        ["^", (a,b)=>Math.pow(a,b)],
+    ],
+    [
+        ["*", (a,b)=>a*b],
+        ["//", (a,b)=>Math.floor(a/b)],
+        ["/", (a,b)=>a/b],
+        ["%", (a,b)=>a%b],
+    ],
+    [
+        ["+", (a,b)=>a+b],
+        ["-", (a,b)=>a-b],
+    ],
+    [
+        ["<", (a,b)=>a<b ? 1 : 0],
+        ["<=", (a,b)=>a<=b ? 1 : 0],
+        [">", (a,b)=>a>b ? 1 : 0],
+        [">=", (a,b)=>a>=b ? 1 : 0],
+    ],
+    [
+        ["==", (a,b)=>a==b ? 1 : 0],
+        ["!=", (a,b)=>a!=b ? 1 : 0],
+    ],
+    [
+        ["&&", (a,b)=>a() && b() ? 1 : 0, true],
+    ],
+    [
+        ["||", (a,b)=>a() || b() ? 1 : 0, true],
+    ],
+];
 
-    DEBUGINC();
+/** Unary (prefix) operators */
+export var UNARYOPERATIONS = {
+    "-": (a)=>-a,
+    "+": (a)=>a,
+    "!": (a)=>a ? 0 : 1,
+};
 
+/**
+ * An Error raised while parsing or evaluating an equation which records where in the equation it occurred.
+ * If the equation belongs to a Variable, the variable's name is recorded as the variable property.
+ */
+export class EquationError extends Error{
     /**
-     * Substitutes variables in the equation and then returns the result of resolveParentheses
-     * @param {Equation} equation - The equation to substitute
-     * @param {Variables} variables - The variables to use
-     * @param {VariableName[]} dependencies - Variables that are dependent on the equation (this is normally not supplied by the user)
-     * @returns {Number} - The result of resolveParentheses
+     * @param {String} message - A description of the error
+     * @param {Equation} equation - The equation as originally written
+     * @param {Number} offset - The offset in the equation at which the error occurred
+     * @param {String} [expected] - A description of the token that was expected at the offset
      */
-    function substituteVariables(equation, variables, dependencies){
-        DEBUGINC();
-        var VARIABLEREG = /[a-zA-Z_][a-zA-Z0-9_]*/;
-        let variable
-        while((variable = VARIABLEREG.exec(equation)) !== null){
-            let variablename = variable[0];
-            if(variables[variablename] == undefined || variables[variablename].value == undefined){
-                DEBUGDEC();
-                throw new Error("Failed to substitute variable: " + variable[0]);
-            }
-            if(variables[variablename].disabled){
-                DEBUGDEC();
-                throw new Error("Variable is disabled: " + variablename + " in " + equation);
-            }
-            if(dependencies.includes(variablename)){
-                DEBUGDEC();
-                throw new Error("Cyclical dependency: " + variablename + " in " + equation);
-            }
-            if(typeof variables[variablename].value == "string"){
-                let depcopy = [...dependencies];
-                depcopy.push(variablename);
-                variables[variablename].value = evaluateEquation(variables[variablename].value, variables, depcopy);
-            }
-            let eq = equation;
-            equation = equation.slice(0, variable.index) + variables[variablename].value + equation.slice(variable.index + variablename.length);
-            if(eq == equation){
-                DEBUGDEC();
-                throw new Error("Failed to substitute variable: " + variable[0] + "in " + eq + " >>> result: " + equation);
+    constructor(message, equation, offset, expected){
+        super(`${message} at position ${offset} in "${equation}"`);
+        this.name = "EquationError";
+        this.equation = equation;
+        this.offset = offset;
+        this.expected = expected;
+    }
+}
+
+/**
+ * Describes a token for use in error messages
+ * @param {Token} token - The token to describe
+ * @returns {String}
+ */
+function describeToken(token){
+    if(token.type == "end") return "end of equation";
+    return `"${token.value}"`;
+}
+
+/**
+ * Splits an equation into Tokens. The final token is always of type "end".
+ * A leading "=" is ignored so that offsets always refer to the equation as written.
+ * @param {Equation} equation - The equation to tokenize
+ * @returns {Token[]} - The tokens of the equation
+ */
+export function tokenize(equation){
+    equation = equation+"";
+    var NUMBERREG = /\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+    var IDENTIFIERREG = /[a-zA-Z_][a-zA-Z0-9_]*/y;
+    // Multi-character operators must precede their single-character prefixes
+    let operators = [...OPERATIONPRIORITY.flat().map(([operator])=>operator), ...Object.keys(UNARYOPERATIONS)];
+    operators = [...new Set(operators)].sort((a,b)=>b.length - a.length);
+
+    let tokens = [];
+    let offset = equation.startsWith("=") ? 1 : 0;
+    while(offset < equation.length){
+        let char = equation[offset];
+        if(/\s/.test(char)){
+            offset++;
+            continue;
+        }
+        let match;
+        NUMBERREG.lastIndex = offset;
+        IDENTIFIERREG.lastIndex = offset;
+        if((match = NUMBERREG.exec(equation)) !== null){
+            tokens.push({type: "number", value: match[0], start: offset, end: offset + match[0].length});
+        }else if((match = IDENTIFIERREG.exec(equation)) !== null){
+            tokens.push({type: "identifier", value: match[0], start: offset, end: offset + match[0].length});
+        }else if(["(", ")", ",", "?", ":"].includes(char)){
+            tokens.push({type: char, value: char, start: offset, end: offset + 1});
+        }else{
+            let operator = operators.find(op=>equation.startsWith(op, offset));
+            if(operator === undefined){
+                throw new EquationError(`Unexpected character "${char}"`, equation, offset, "a number, variable, operator or parenthesis");
             }
+            tokens.push({type: "operator", value: operator, start: offset, end: offset + operator.length});
         }
-        DEBUGDEC();
-        checkParentheses(equation);
-        return resolveParentheses(equation, variables, dependencies);
+        offset = tokens[tokens.length-1].end;
     }
-    /** Because of the way we're resolving the paretheses, it's easiest to count them before
-     *  resolving instead of trying to track open and closing parens.
-     * @param {Equation} equation - The equation to check
+    tokens.push({type: "end", value: "", start: equation.length, end: equation.length});
+    return tokens;
+}
+
+/**
+ * Parses an equation into an Abstract Syntax Tree
+ * @param {Equation} equation - The equation to parse
+ * @returns {Node} - The root node of the equation
+ */
+export function parseEquation(equation){
+    equation = equation+"";
+    let tokens = tokenize(equation);
+    let position = 0;
+
+    let peek = ()=>tokens[position];
+    let next = ()=>tokens[position++];
+
+    /**
+     * Consumes the next token, raising an error if it is not of the given type
+     * @param {Token["type"]} type - The type of token expected
+     * @param {String} expected - A description of the expected token
+     * @returns {Token}
      */
-    function checkParentheses(equation){
-        let open = equation.split("(").length - 1;
-        let close = equation.split(")").length - 1;
-        if(open == close) return;
-        if(open > close){
-            throw new Error("More opening parentheses than closing: " + equation);
+    function expect(type, expected){
+        let token = peek();
+        if(token.type != type){
+            throw new EquationError(`Expected ${expected} but found ${describeToken(token)}`, equation, token.start, expected);
         }
-        throw new Error("More closing parentheses than opening: " + equation);
+        return next();
     }
 
     /**
-     * Resolves all parentheses in the equation recursively and then returns the result of evaluateOperations
-     * @param {Equation} equation - The equation to resolve
-     * @param {Variables} variables - The variables to use (not used in this function)
-     * @param {VariableName[]} dependencies - Variables that are dependent on the equation (this is normally not supplied by the user; not used in this function)
-     * @returns {Number} - The result of evaluateOperations
+     * Parses a full expression, including conditionals ("condition ? a : b")
+     * @returns {Node}
      */
-    function resolveParentheses(equation, variables, dependencies){
-        DEBUGINC();
-        // log(equation)
-        
-        let open = equation.indexOf("(");
-        let close = equation.indexOf(")");
-        if(open < 0 && close < 0){
-            DEBUGDEC();
-            return evaluateOperations(equation, variables, dependencies);
-        }
-        if(open > 0 && close < 0){
-            DEBUGDEC();
-            throw new Error("Missing closing parenthesis: " + equation);
-        }
-        if(open < 0 || close < open){
-            let value = resolveParentheses(equation.slice(0,close), variables, dependencies);
-            return value + equation.slice(close+1);
-        }
-        let eq = equation;
-        let value = resolveParentheses(equation.slice(open+1), variables, dependencies);
-        equation = equation.slice(0, open)+ value;
-        if(eq == equation){
-            DEBUGDEC();
-            throw new Error("Failed to resolve parentheses: " + eq + " >>> result: " + equation);
-        }
-        // log("returning:", equation);
-        DEBUGDEC();
-        return resolveParentheses(equation, variables, dependencies);
+    function parseExpression(){
+        let test = parseOperation(OPERATIONPRIORITY.length-1);
+        if(peek().type != "?") return test;
+        next();
+        let consequent = parseExpression();
+        expect(":", `":"`);
+        let alternate = parseExpression();
+        return {type: "conditional", test, consequent, alternate, start: test.start, end: alternate.end};
     }
 
     /**
-     * Evaluates operations in the equation and replaces them with their results, ultimately returning the result
-     * @param {Equation} equation - The equation to evaluate
-     * @param {Variables} variables - The variables to use (not used in this function)
-     * @param {VariableName[]} dependencies - Variables that are dependent on the equation (this is normally not supplied by the user; not used in this function)
-     * @returns {Number} - The result of the equation
+     * Parses binary operations at the given priority (index of OPERATIONPRIORITY)
+     * @param {Number} priority - The index of the OPERATIONPRIORITY group to parse
+     * @returns {Node}
      */
-    function evaluateOperations(equation, variables, dependencies){
-        DEBUGINC();
-        var OPERATIONPRIORITY = [
-            [
-                ["^", (a,b)=>Math.pow(a,b)],
-            ],
-            [
-                ["*", (a,b)=>a*b],
-                ["//", (a,b)=>Math.floor(a/b)],
-                ["/", (a,b)=>a/b],
-                ["%", (a,b)=>a%b],
-            ],
-            [
-                ["+", (a,b)=>a+b],
-                ["-", (a,b)=>a-b],
-            ],
-        ];
-
-        for(let operation of OPERATIONPRIORITY){
-            let match, f;
-            let regs = [];
-            for (let [operator, func] of operation){
-                regs.push(new RegExp("(?:^\\+)?(?<a>-?\\d+(?:\\.\\d+)?)\\s*\\"+operator+"\\s*(?<b>-?\\d+(?:\\.\\d+)?)", "g"));
-            }
+    function parseOperation(priority){
+        if(priority < 0) return parseUnary();
+        let operators = OPERATIONPRIORITY[priority].map(([operator])=>operator);
+        let left = parseOperation(priority-1);
+        while(peek().type == "operator" && operators.includes(peek().value)){
+            let operator = next().value;
+            let right = parseOperation(priority-1);
+            left = {type: "binary", operator, left, right, start: left.start, end: right.end};
+        }
+        return left;
+    }
 
-            for(let i = 0; i < regs.length; i++){
-                let reg = regs[i];
-                let func = operation[i][1];
-                let m = reg.exec(equation);
-                if(m == null) continue;
-                if(!match || m.index < match.index){
-                    match = m;
-                    f = func;
+    /**
+     * Parses unary operations and the value they apply to
+     * @returns {Node}
+     */
+    function parseUnary(){
+        let token = peek();
+        if(token.type == "operator" && UNARYOPERATIONS[token.value] !== undefined){
+            next();
+            let operand = parseUnary();
+            return {type: "unary", operator: token.value, operand, start: token.start, end: operand.end};
+        }
+        return parsePrimary();
+    }
+
+    /**
+     * Parses numbers, variables, function calls and parenthesized expressions
+     * @returns {Node}
+     */
+    function parsePrimary(){
+        let token = next();
+        switch(token.type){
+            case "number":
+                return {type: "number", value: Number(token.value), start: token.start, end: token.end};
+            case "identifier":{
+                if(peek().type != "(") return {type: "variable", name: token.value, start: token.start, end: token.end};
+                next();
+                let args = [];
+                if(peek().type != ")"){
+                    args.push(parseExpression());
+                    while(peek().type == ","){
+                        next();
+                        args.push(parseExpression());
+                    }
                 }
+                let close = expect(")", `"," or ")"`);
+                return {type: "call", name: token.value, args, start: token.start, end: close.end};
             }
-            if(!match) continue;
+            case "(":{
+                let node = parseExpression();
+                expect(")", `")"`);
+                return node;
+            }
+        }
+        let expected = "a number, variable or \"(\"";
+        throw new EquationError(`Expected ${expected} but found ${describeToken(token)}`, equation, token.start, expected);
+    }
 
-            let a = parseValue(match.groups.a);
-            let b = parseValue(match.groups.b);
-            let eq = equation;
+    let root = parseExpression();
+    expect("end", "an operator or end of equation");
+    return root;
+}
 
-            // log(equation, a, f, b, match.index, match[0].length);
+/**
+ * Returns the names of all variables referenced by a node (including constants, which are
+ * resolved during evaluation), in the order they first appear in the equation
+ * @param {Node} node - The node to search
+ * @returns {VariableName[]} - The referenced variable names
+ */
+export function getReferences(node){
+    return [...new Set(getVariableNodes(node).map(variable=>variable.name))];
+}
 
-            equation = equation.slice(0, match.index) + f(a,b) + equation.slice(match.index + match[0].length);
+/**
+ * Returns all variable nodes in a node
+ * @param {Node} node - The node to search
+ * @returns {Node[]} - The variable nodes
+ */
+function getVariableNodes(node){
+    if(!node) return [];
+    if(node.type == "variable") return [node];
+    return [node.operand, node.left, node.right, node.test, node.consequent, node.alternate, ...(node.args || [])].flatMap(getVariableNodes);
+}
 
-            if(eq == equation){
-                DEBUGDEC();
-                throw new Error("Failed to evaluate operation: " + equation);
-            }
+/**
+ * Compiles Variables into a dependency graph which can be evaluated repeatedly via resolveEquations
+ * (or the resolve function of the result). The provided Variables are not modified.
+ * Equations which fail to parse are recorded on their CompiledVariable and raised when they are
+ * referenced; cyclical dependencies are raised immediately with the full chain of variables.
+ * @param {Variables} variables - The variables to compile
+ * @returns {CompiledEquations} - The compiled variables
+ */
+export function compileEquations(variables = {}){
+    /** @type {Object<VariableName, CompiledVariable>} */
+    let compiled = {};
+    for(let [name, variable] of Object.entries(variables)){
+        compiled[name] = compileVariable(name, variable);
+    }
+    let order = sortVariables(compiled);
+    let result = {variables: compiled, order, resolve: (overrides)=>resolveEquations(result, overrides)};
+    return result;
+}
+
+/**
+ * Parses a single Variable
+ * @param {VariableName} name - The name of the variable
+ * @param {Variable} variable - The variable to compile
+ * @returns {CompiledVariable} - The compiled variable
+ */
+function compileVariable(name, variable){
+    // The results of an earlier compilation (e.g.- of a variable which is being overridden) are discarded
+    let {node, error, dependencies, ...fields} = variable;
+    let compiled = {...fields, name: variable.name ?? name, dependencies: []};
+    if(variable.disabled) return compiled;
+    try{
+        compiled.node = parseEquation(variable.value);
+        compiled.dependencies = getReferences(compiled.node);
+    }catch(e){
+        if(e instanceof EquationError) e.variable = name;
+        compiled.error = e;
+    }
+    return compiled;
+}
+
+/**
+ * Sorts CompiledVariables topologically (depth-first) so that dependencies are always ordered
+ * before their dependents. References to undefined variables are ignored.
+ * @param {Object<VariableName, CompiledVariable>} compiled - The compiled variables
+ * @returns {VariableName[]} - The sorted variable names
+ */
+function sortVariables(compiled){
+    let order = [];
+    let visited = new Set();
+    /**
+     * @param {VariableName} name - The variable to visit
+     * @param {VariableName[]} chain - The variables currently being visited
+     */
+    function visit(name, chain){
+        if(visited.has(name) || compiled[name] === undefined) return;
+        if(chain.includes(name)){
+            let cycle = [...chain.slice(chain.indexOf(name)), name];
+            let variable = compiled[cycle[0]];
+            let reference = getVariableNodes(variable.node).find(node=>node.name == cycle[1]);
+            let error = new EquationError(`Cyclical dependency: ${cycle.join(" -> ")}`, String(variable.value), reference?.start ?? 0);
+            error.variable = cycle[0];
+            throw error;
+        }
+        for(let dependency of compiled[name].dependencies){
+            visit(dependency, [...chain, name]);
+        }
+        visited.add(name);
+        order.push(name);
+    }
+    for(let name of Object.keys(compiled)){
+        visit(name, []);
+    }
+    return order;
+}
 
-            DEBUGDEC();
-            return evaluateOperations(equation, variables, dependencies);
+/**
+ * Evaluates CompiledEquations in topological order, returning a new set of Variables whose
+ * values are the evaluated results. Variables which fail to evaluate have an undefined value
+ * and record the error, which is raised when they are referenced.
+ * 
+ * Overrides replace the value of the given variables (enabling them if they are disabled) or
+ * add new variables; other variables that depend on them are evaluated with the new values.
+ * @param {CompiledEquations} compiled - The compiled variables
+ * @param {Object<VariableName, Equation|Result>} [overrides] - Values to use instead of the compiled variables' values
+ * @returns {Variables} - The evaluated variables
+ */
+export function resolveEquations(compiled, overrides = {}){
+    let variables = compiled.variables;
+    let order = compiled.order;
+    if(Object.keys(overrides).length){
+        variables = {...variables};
+        for(let [name, value] of Object.entries(overrides)){
+            let {node, error, dependencies, ...variable} = compiled.variables[name] ?? {};
+            variables[name] = compileVariable(name, {...variable, value, disabled: false});
         }
+        order = sortVariables(variables);
+    }
 
-        DEBUGDEC();
-        return parseValue(equation, variables, dependencies);
+    /** @type {Variables} */
+    let resolved = {};
+    for(let name of order){
+        let {node, error, dependencies, ...variable} = variables[name];
+        resolved[name] = variable;
+        if(variable.disabled) continue;
+        if(error){
+            resolved[name] = {...variable, value: undefined, error};
+            continue;
+        }
+        try{
+            resolved[name] = {...variable, value: evaluateNode(node, String(variable.value), resolved, [name], new Map())};
+        }catch(e){
+            if(e instanceof EquationError && e.variable === undefined) e.variable = name;
+            resolved[name] = {...variable, value: undefined, error: e};
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Parses and evaluates an equation. The provided Variables are not modified: equations
+ * referenced by the equation are evaluated as needed and cached for the duration of the call.
+ * For repeated evaluations, Variables should be resolved ahead of time with compileEquations.
+ * @param {Equation} equation - The equation to evaluate
+ * @param {Variables} variables - The variables to use
+ * @param {VariableName[]} [dependencies] - Variables that are dependent on the equation (this is normally not supplied by the user)
+ * @returns {Number} - The result of the equation
+ */
+export function evaluateEquation(equation, variables = {}, dependencies = undefined){
+    if(dependencies == undefined) dependencies = [];
+    equation = equation+"";
+    return evaluateNode(parseEquation(equation), equation, variables, dependencies, new Map());
+}
+
+/**
+ * Evaluates a parsed equation
+ * @param {Node} root - The root node of the equation
+ * @param {Equation} equation - The equation as written (used for error messages)
+ * @param {Variables} variables - The variables to use
+ * @param {VariableName[]} dependencies - Variables that are dependent on the equation
+ * @param {Map<VariableName, Result>} cache - Results of variables evaluated during this evaluation
+ * @returns {Number} - The result of the equation
+ */
+function evaluateNode(root, equation, variables, dependencies, cache){
+    let operations = Object.fromEntries(OPERATIONPRIORITY.flat().map(([operator, func, lazy])=>[operator, {func, lazy}]));
+
+    /**
+     * Recursively evaluates a node of the equation
+     * @param {Node} node - The node to evaluate
+     * @returns {Number} - The result of the node
+     */
+    function evaluate(node){
+        switch(node.type){
+            case "number":
+                return node.value;
+            case "variable":
+                return evaluateVariable(node);
+            case "unary":
+                return UNARYOPERATIONS[node.operator](evaluate(node.operand));
+            case "binary":{
+                let {func, lazy} = operations[node.operator];
+                if(lazy) return func(()=>evaluate(node.left), ()=>evaluate(node.right));
+                return func(evaluate(node.left), evaluate(node.right));
+            }
+            case "conditional":
+                return evaluate(node.test) ? evaluate(node.consequent) : evaluate(node.alternate);
+            case "call":
+                return evaluateCall(node);
+        }
+        throw new EquationError(`Unknown node type ${node.type}`, equation, node.start);
     }
 
     /**
-     * Parses the result of the equation
-     * @param {Equation} equation - The equation to parse
-     * @param {Variables} variables - The variables to use
-     * @param {VariableName[]} dependencies - Variables that are dependent on the equation
-     * @returns {Number} - The result of the equation
+     * Resolves the value of a variable, evaluating its equation if it has not yet been evaluated
+     * @param {Node} node - The variable node
+     * @returns {Number} - The value of the variable
      */
-    function parseValue(equation, variables, dependencies){
-        DEBUGINC();
-        // Number() converts empty strings and whitespace-exclusive
-        // strings to 0, so we need to check that first
-        if(!equation.trim()){
-            DEBUGDEC();
-            throw new Error(`Empty String: "${equation}"`);
-        }
-        let result = Number(equation);
+    function evaluateVariable(node){
+        let variablename = node.name;
+        let variable = variables[variablename];
+        if(variable == undefined && Object.hasOwn(CONSTANTS, variablename)){
+            return CONSTANTS[variablename];
+        }
+        if(variable?.error){
+            throw variable.error;
+        }
+        if(variable == undefined || variable.value == undefined){
+            throw new EquationError(`Unknown variable "${variablename}"`, equation, node.start, "a defined variable");
+        }
+        if(variable.disabled){
+            throw new EquationError(`Variable is disabled: "${variablename}"`, equation, node.start);
+        }
+        if(dependencies.includes(variablename)){
+            let cycle = [...dependencies.slice(dependencies.indexOf(variablename)), variablename];
+            throw new EquationError(`Cyclical dependency: ${cycle.join(" -> ")}`, equation, node.start);
+        }
+        if(typeof variable.value != "string") return Number(variable.value);
+        if(!cache.has(variablename)){
+            let value;
+            try{
+                value = evaluateNode(parseEquation(variable.value), variable.value, variables, [...dependencies, variablename], cache);
+            }catch(e){
+                if(e instanceof EquationError && e.variable === undefined) e.variable = variablename;
+                throw e;
+            }
+            cache.set(variablename, value);
+        }
+        return cache.get(variablename);
+    }
+
+    /**
+     * Evaluates a function call
+     * @param {Node} node - The call node
+     * @returns {Number} - The result of the function
+     */
+    function evaluateCall(node){
+        let name = node.name;
+        if(!Object.hasOwn(FUNCTIONS, name)){
+            throw new EquationError(`Unknown function "${name}"`, equation, node.start, "a defined function");
+        }
+        let {args: count, func, lazy} = FUNCTIONS[name];
+        if(count !== undefined && node.args.length != count){
+            throw new EquationError(`Function ${name} expects ${count} argument(s) but received ${node.args.length}`, equation, node.start);
+        }
+        if(!node.args.length){
+            throw new EquationError(`Function ${name} expects at least 1 argument`, equation, node.start);
+        }
+        let args = lazy ? node.args.map(arg=>()=>evaluate(arg)) : node.args.map(evaluate);
+        let result = func(...args);
         if(isNaN(result)){
-            DEBUGDEC();
-            throw new Error(`Failed to parse equation: ${equation}`);
+            throw new EquationError(`Function ${name} returned an invalid result`, equation, node.start);
         }
-        DEBUGDEC();
         return result;
     }
 
-    equation = equation+"";
-    if(equation.startsWith("=")) equation = equation.slice(1);
-    equation = substituteVariables(equation, variables, dependencies);
-    DEBUGDEC();
-    return equation;
+    return evaluate(root);
 }
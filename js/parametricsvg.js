@@ -1,5 +1,9 @@
 "use strict";
 
+import { DOMBackend, StringBackend } from "./backends.js";
+import { checkAttribute, checkElement, checkStyle, sanitizeMarkup } from "./sanitizer.js";
+import { XMLError } from "./xml.js";
+
 /**
  * An array of JSON descriptions used by ParametricSVG
  * to generate SVG elements
@@ -7,6 +11,23 @@
  * @property {Variables} equations - Equations available to evaluate the values of component attributes
  * @property {SVGDescription[]} svgcomponents - The components of the SVG
  * @property {Object<string, string>} attributes - The attributes of the SVG
+ * @property {Object<string, Overrides>} [variants] - Named sets of values which replace the values of equations
+ * @property {Object<string, ComponentDefinition>} [components] - Reusable components which can be added with instance components
+ * @property {string[]} [imports] - Paths (relative to the description) of other descriptions whose equations and components are used by this one
+ *      (see resolveImports)
+ * 
+ * Values which replace the values of equations (or add new equations) when rendering
+ * @typedef {Object<VariableName, Equation|Result>} Overrides
+ * 
+ * A problem with an id or a reference to an id found by checkReferences
+ * @typedef {Object} ReferenceIssue
+ * @property {"missing"|"duplicate"|"unused"} type - The type of problem
+ * @property {string} id - The id which was referenced or defined
+ * @property {string} message - A description of the problem
+ * @property {Array<string|number>} path - The location of the value which contains the id (see ParametricSVGError)
+ * @property {number} offset - The offset of the id in the value
+ * @property {Array<Array<string|number>>} instances - The locations of the instances which added the value (outermost first;
+ *      see SOURCEATTRIBUTE)
  * 
  * A descriptor for an SVG Component element
  * @typedef {Object} SVGDescription
@@ -133,7 +154,83 @@
  * @property {"path"} type - The type of element
  * @property {PathSegment[]} d- The segments of the path
  * 
+ * Repeats its children (without creating an element of its own) once for each value of its index variable
+ * @typedef {Object} RepeatDescription
+ * @property {"repeat"} type - The type of component
+ * @property {Equation|number} count - The number of times to repeat the children
+ * @property {VariableName} [as] - The name of the variable which holds the index (from 0 to count-1); "i" by default
+ * @property {VariableName} [countAs] - The name of a variable which holds the count
+ * @property {SVGDescription[]} children - The components to repeat
+ * 
+ * A reusable group of components with parameters (see InstanceDescription)
+ * @typedef {Object} ComponentDefinition
+ * @property {Object<VariableName, {value?: Equation|number, comment?: string}>} [parameters] - The parameters of the definition
+ *      and their default values (parameters without a value must be provided by every instance)
+ * @property {SVGDescription[]} children - The components added by each instance
+ * 
+ * Adds the children of a ComponentDefinition (without creating an element of its own) with the given arguments
+ * @typedef {Object} InstanceDescription
+ * @property {"instance"} type - The type of component
+ * @property {string} component - The name of the definition in the components section
+ * @property {Object<VariableName, Equation|number>} [arguments] - The values of the definition's parameters
+ * 
+ * @typedef {import("./backends.js").StringElement} StringElement
+ * @typedef {import("./xml.js").XMLNode} XMLNode
+ */
+
+/**
+ * Compiled equations cached by the equations object of the JsonDescription they were compiled from
+ * @type {WeakMap<Variables, {viewBox: string, compiler: function, compiled: CompiledEquations}>}
  */
+const COMPILEDCACHE = new WeakMap();
+
+/** Matches references to ids in url() values (e.g.- fill="url(#gradient)"); the id is the second group */
+const URLREFERENCEREG = /(url\(\s*['"]?#)([^'")\s]+)/g;
+/** Attributes whose values reference an id when they start with "#" */
+const HREFATTRIBUTES = ["href", "xlink:href"];
+/** Matches id attributes in raw markup; the id is the third group */
+const RAWIDREG = /(\bid\s*=\s*)(["'])(.*?)\2/g;
+/** Namespaces which the content of raw components can use without declaring them (e.g.- "xlink:href") */
+const RAWNAMESPACES = {
+    xml: "http://www.w3.org/XML/1998/namespace",
+    xmlns: "http://www.w3.org/2000/xmlns/",
+    xlink: "http://www.w3.org/1999/xlink"
+};
+/** Matches valid variable names (for the variables defined by repeat components) */
+const VARIABLENAMEREG = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+/** The maximum number of times a repeat component can repeat its children */
+const REPEATLIMIT = 10000;
+
+/**
+ * An Error raised by parseJSON which records the location in the JsonDescription that caused it
+ */
+export class ParametricSVGError extends Error{
+    /**
+     * @param {string} message - A description of the error
+     * @param {Array<string|number>} path - The keys leading from the root of the JsonDescription to the value which caused the error
+     * @param {number} [offset] - If the value is a string (e.g.- an equation), the offset in the string at which the error occurred
+     * @param {Error} [cause] - The original error
+     */
+    constructor(message, path, offset, cause){
+        super(message, {cause});
+        this.name = "ParametricSVGError";
+        this.path = path;
+        this.offset = offset;
+    }
+}
+
+/**
+ * Converts an error to a ParametricSVGError located at the given path. Errors which are already
+ * located are returned as-is; errors raised by an equation (see EquationError) are located at that equation.
+ * @param {Error} error - The error to locate
+ * @param {Array<string|number>} path - The location of the value being parsed when the error was raised
+ * @returns {ParametricSVGError}
+ */
+function locateError(error, path){
+    if(error instanceof ParametricSVGError) return error;
+    if(error?.variable === undefined) return new ParametricSVGError(error?.message ?? String(error), path, undefined, error);
+    return new ParametricSVGError(error.message, ["equations", error.variable, "value"], error.offset, error);
+}
 
 /**
  * Used to create an SVG from a JSON description using the parseJSON function
@@ -145,6 +242,11 @@ export var ParametricSVG = {
     /** The namespace of the SVG; can be modified if needed */
     XMLNS : "http://www.w3.org/2000/svg",
 
+    /** The attribute which records the components that created an element when parseJSON is asked for sources:
+     * a JSON list of paths, starting with the instances (outermost first) and ending with the component itself
+     */
+    SOURCEATTRIBUTE : "data-psvg-source",
+
     /** Attributes of the XML File Declaration, used as a header in an SVG file.
      * Additional attributes can be added as needed
      */
@@ -167,6 +269,338 @@ export var ParametricSVG = {
     /** @callback evaluator - A default function to use when evaluating equations with parseJSON or updateSVG */
     evaluator : null,
 
+    /** @callback compiler - A default function to use when compiling the equations of a JsonDescription (e.g.- compileEquations).
+     * The result must provide a resolve function which returns the evaluated Variables. If no compiler is
+     * available, the evaluator is given a copy of the equations instead.
+     */
+    compiler : null,
+
+    /** @type {RenderBackend} - The default backend used by parseJSON to create elements.
+     * DOMBackend requires a document; StringBackend can be used without one (e.g.- in Node).
+     */
+    backend : DOMBackend,
+
+    /**
+     * Returns the equations of the description along with the implicit vbw and vbh equations
+     * (the width and height of the root viewBox) unless they are already defined.
+     * The description is not modified.
+     * @memberof ParametricSVG
+     * @param {JsonDescription} description - The JSON to get the equations from
+     * @returns {Variables} - The equations of the description
+     */
+    getEquations : function(description){
+        let equations = {...description.equations};
+        if(description.attributes?.viewBox){
+            let [x, y, width, height] = description.attributes.viewBox.split(" ");
+            if(!equations.vbw){
+                equations.vbw = {name: "vbw", value: width};
+            }
+            if(!equations.vbh){
+                equations.vbh = {name: "vbh", value: height};
+            }
+        }
+        return equations;
+    },
+
+    /**
+     * Returns the Overrides for the given variant of the description, combined with any additional overrides
+     * (which take precedence over the variant's values)
+     * @memberof ParametricSVG
+     * @param {JsonDescription} description - The JSON which defines the variant
+     * @param {string} [variant] - The name of the variant; if not provided, only the additional overrides are returned
+     * @param {Overrides} [overrides] - Additional overrides
+     * @returns {Overrides} - The combined overrides
+     */
+    getVariant : function(description, variant, overrides){
+        if(!variant) return {...overrides};
+        let values = description.variants?.[variant];
+        if(!values){
+            throw new Error(`Unknown variant: ${variant}`);
+        }
+        return {...values, ...overrides};
+    },
+
+    /**
+     * Compiles the equations of the description. The result is cached so that rendering the same
+     * description again (e.g.- with different overrides) does not recompile it: descriptions
+     * should therefore not be modified after they have been rendered.
+     * @memberof ParametricSVG
+     * @param {JsonDescription} description - The JSON to compile the equations of
+     * @param {function} [compiler] - The function to compile the equations with
+     * @returns {CompiledEquations} - The compiled equations
+     */
+    compileEquations : function(description, compiler){
+        if (!compiler){
+            if(!ParametricSVG.compiler){
+                throw new Error("No compiler defined");
+            }
+            compiler = ParametricSVG.compiler;
+        }
+        let equations = description.equations ?? {};
+        let viewBox = description.attributes?.viewBox;
+        let cached = COMPILEDCACHE.get(equations);
+        if(cached && cached.viewBox === viewBox && cached.compiler === compiler) return cached.compiled;
+        let compiled = compiler(ParametricSVG.getEquations(description));
+        COMPILEDCACHE.set(equations, {viewBox, compiler, compiled});
+        return compiled;
+    },
+
+    /**
+     * Returns the errors of the description's equations (e.g.- syntax errors and unknown variables), which parseJSON
+     * does not raise because attributes which fail to evaluate are written as-is. Each error is located at the
+     * equation which caused it (equations which depend on a broken equation share its error and are not repeated).
+     * @memberof ParametricSVG
+     * @param {JsonDescription} description - The JSON to check the equations of
+     * @param {Overrides} [overrides] - Values which replace the values of the JSON's equations (see getVariant)
+     * @returns {ParametricSVGError[]} - The errors of the equations
+     */
+    checkEquations : function(description, overrides){
+        let variables;
+        try{
+            variables = ParametricSVG.compileEquations(description).resolve(overrides);
+        }catch(e){
+            return [locateError(e, ["equations"])];
+        }
+        // Errors are compared by their location, since locateError creates a new error for each variable
+        let errors = new Map();
+        for(let [name, variable] of Object.entries(variables)){
+            if(!variable.error || variable.disabled) continue;
+            let error = locateError(variable.error, ["equations", name, "value"]);
+            let key = JSON.stringify([error.path, error.offset, error.message]);
+            if(!errors.has(key)) errors.set(key, error);
+        }
+        return [...errors.values()];
+    },
+
+    /**
+     * Returns a copy of the description with the equations and components of its imports (and of their imports) added.
+     * The description's own equations and components take precedence over imported ones, and later imports take
+     * precedence over earlier ones. Only equations and components are imported: the attributes, variants and
+     * svgcomponents of imported descriptions are ignored. Descriptions which import each other raise an error.
+     * @memberof ParametricSVG
+     * @param {JsonDescription} description - The description to resolve the imports of
+     * @param {string} location - The URL of the description, which the paths of its imports are relative to
+     * @param {function(string): (JsonDescription|Promise<JsonDescription>)} load - Loads the description at a URL
+     * @returns {Promise<{description: JsonDescription, imports: string[]}>} - The resolved description (without imports)
+     *      and the URLs of every description it imports
+     */
+    resolveImports : async function(description, location, load){
+        /** @type {Set<string>} */
+        let imports = new Set();
+        let resolved = await resolve(description, location, []);
+        return {description: resolved, imports: [...imports]};
+
+        /**
+         * Resolves the imports of a description
+         * @param {JsonDescription} description - The description to resolve
+         * @param {string} location - The URL of the description
+         * @param {string[]} chain - The URLs of the descriptions which (indirectly) import this one
+         * @returns {Promise<JsonDescription>}
+         */
+        async function resolve(description, location, chain){
+            let {imports: paths, ...rest} = description;
+            if(paths === undefined) return description;
+            if(!Array.isArray(paths)) throw new ParametricSVGError("imports must be a list of paths", ["imports"]);
+            let equations = {};
+            let components = {};
+            for(let [i, path] of paths.entries()){
+                if(typeof path != "string") throw new ParametricSVGError(`Invalid import: ${path}`, ["imports", i]);
+                let url = new URL(path, location).href;
+                if(url == location || chain.includes(url)){
+                    let start = url == location ? chain.length : chain.indexOf(url);
+                    let cycle = [...chain, location, url].slice(start).map(url=>decodeURIComponent(url.split("/").pop()));
+                    throw new ParametricSVGError(`Import cycle: ${cycle.join(" -> ")}`, ["imports", i]);
+                }
+                imports.add(url);
+                let imported;
+                try{
+                    imported = await resolve(await load(url), url, [...chain, location]);
+                }catch(e){
+                    throw new ParametricSVGError(`Could not import ${path}: ${e?.message ?? e}`, ["imports", i], undefined, e);
+                }
+                Object.assign(equations, imported.equations);
+                Object.assign(components, imported.components);
+            }
+            return {...rest, equations: {...equations, ...description.equations}, components: {...components, ...description.components}};
+        }
+    },
+
+    /**
+     * Checks the ids of the elements rendered from the description and the references to them: hrefs ("#id") and
+     * url(#id) values (e.g.- fill, clip-path, mask and marker-* attributes, and the text of style components).
+     * Reports references to missing ids, duplicate ids and elements in defs which are never referenced.
+     * The description is rendered (see parseJSON) so that ids added several times by repeats and instances are
+     * reported, and ids computed from equations are checked with their values. Each problem is located at the
+     * component which created the element; problems with elements added by an instance also record the instances.
+     * The description is not modified.
+     * @memberof ParametricSVG
+     * @param {JsonDescription} description - The JSON to check (with its imports resolved, see resolveImports)
+     * @param {Overrides} [overrides] - Values which replace the values of the JSON's equations (see getVariant)
+     * @returns {ReferenceIssue[]} - The problems with the description's references
+     * @throws {ParametricSVGError} - If the description cannot be rendered
+     */
+    checkReferences : function(description, overrides){
+        let svg = ParametricSVG.parseJSON(description, undefined, overrides, StringBackend, true);
+
+        /** @typedef {{path: Array<string|number>, offset: number, instances: Array<Array<string|number>>}} Location */
+        /** @type {Map<string, Array<Location & {def: boolean}>>} */
+        let ids = new Map();
+        /** @type {Array<Location & {id: string}>} */
+        let references = [];
+
+        checkRendered(svg, null, false);
+
+        /** @type {ReferenceIssue[]} */
+        let issues = [];
+        for(let [id, definitions] of ids){
+            if(definitions.length < 2) continue;
+            for(let [location, count] of countLocations(definitions)){
+                // The first location is only a duplicate if it was added more than once (e.g.- by a repeat)
+                if(location === definitions[0] && count < 2) continue;
+                let message = count > 1 ? `Duplicate id "${id}" (added ${count} times)` : `Duplicate id "${id}"`;
+                issues.push({type: "duplicate", id, message, ...location});
+            }
+        }
+        let referenced = new Set(references.map(({id})=>id));
+        for(let [location] of countLocations(references)){
+            if(ids.has(location.id)) continue;
+            issues.push({type: "missing", id: location.id, message: `No component has the id "${location.id}"`, ...location});
+        }
+        for(let [id, definitions] of ids){
+            if(referenced.has(id)) continue;
+            for(let [location] of countLocations(definitions.filter(({def})=>def))){
+                issues.push({type: "unused", id, message: `"${id}" is defined in defs but never referenced`, ...location});
+            }
+        }
+        // Text which was not found (e.g.- ids computed by equations) is located at the start of its value
+        return issues.map(({def, ...issue})=>({...issue, offset: Math.max(issue.offset, 0)}));
+
+        /**
+         * Groups locations which refer to the same value of the description (e.g.- the repetitions of a component)
+         * @template {Location} T
+         * @param {T[]} locations - The locations to group
+         * @returns {Map<T, number>} - The first of each group of locations and the size of the group
+         */
+        function countLocations(locations){
+            let groups = new Map();
+            let counts = new Map();
+            for(let location of locations){
+                let key = JSON.stringify([location.path, location.offset, location.instances]);
+                if(!groups.has(key)) groups.set(key, location);
+                counts.set(groups.get(key), (counts.get(groups.get(key)) ?? 0) + 1);
+            }
+            return counts;
+        }
+
+        /**
+         * Returns the value at a location in the description
+         * @param {Array<string|number>} path - The location of the value
+         */
+        function valueAt(path){
+            return path.reduce((value, key)=>value?.[key], description);
+        }
+
+        /**
+         * Finds the value of the description which an attribute of a rendered element was created from
+         * @param {Array<Array<string|number>>|null} sources - The sources of the element (see SOURCEATTRIBUTE);
+         *      null for the root element
+         * @param {string} attr - The name of the attribute
+         * @param {string} text - The text to find in the value (e.g.- the id)
+         * @returns {Location}
+         */
+        function locate(sources, attr, text){
+            if(!sources) return locateIn(["attributes", attr], text, []);
+            let path = sources[sources.length-1];
+            let instances = sources.slice(0, -1);
+            let obj = valueAt(path);
+            if(obj?.type == "raw"){
+                let content = String(obj.content);
+                let offset = -1;
+                if(attr == "id"){
+                    for(let match of content.matchAll(RAWIDREG)){
+                        if(match[3] != text) continue;
+                        offset = match.index + match[1].length + 1;
+                        break;
+                    }
+                }
+                if(offset < 0) offset = content.indexOf(text);
+                return {path: [...path, "content"], offset, instances};
+            }
+            if(attr == "id" && obj?.id !== undefined) return locateIn([...path, "id"], text, instances);
+            if(obj?.attributes?.[attr] !== undefined) return locateIn([...path, "attributes", attr], text, instances);
+            if(obj?.[attr] !== undefined) return locateIn([...path, attr], text, instances);
+            return {path, offset: -1, instances};
+        }
+
+        /**
+         * Returns the location of text in a value of the description (with an offset of -1 if the text
+         * is not found, e.g.- because the value is an equation)
+         * @param {Array<string|number>} path - The location of the value
+         * @param {string} text - The text to find
+         * @param {Array<Array<string|number>>} instances - The instances which added the value
+         * @returns {Location}
+         */
+        function locateIn(path, text, instances){
+            let value = valueAt(path);
+            let offset = typeof value == "string" ? value.indexOf(text) : -1;
+            return {path, offset, instances};
+        }
+
+        /**
+         * Records the references in an attribute value or the text of a style element
+         * @param {string} value - The value to search
+         * @param {function(string): Location} find - Locates a reference (given as "#id") in the description
+         * @param {boolean} href - Whether the value is an href
+         */
+        function findReferences(value, find, href){
+            if(href && value.startsWith("#")){
+                let id = value.slice(1);
+                references.push({id, ...offsetBy(find(`#${id}`), 1)});
+            }
+            for(let match of value.matchAll(URLREFERENCEREG)){
+                references.push({id: match[2], ...offsetBy(find(`#${match[2]}`), 1)});
+            }
+        }
+
+        /**
+         * Moves a location forward (e.g.- past the "#" of a reference) if its text was found
+         * @param {Location} location
+         * @param {number} offset
+         * @returns {Location}
+         */
+        function offsetBy(location, offset){
+            if(location.offset < 0) return location;
+            return {...location, offset: location.offset + offset};
+        }
+
+        /**
+         * Records the ids and references of a rendered element and its children
+         * @param {StringElement} element - The element to check
+         * @param {Array<Array<string|number>>|null} sources - The sources of the element's parent
+         * @param {boolean} def - Whether the element is a child of defs
+         */
+        function checkRendered(element, sources, def){
+            let own = element.attributes.get(ParametricSVG.SOURCEATTRIBUTE);
+            if(own !== undefined) sources = JSON.parse(own);
+            for(let [attr, value] of element.attributes){
+                if(attr == ParametricSVG.SOURCEATTRIBUTE) continue;
+                if(attr == "id"){
+                    if(!ids.has(value)) ids.set(value, []);
+                    ids.get(value).push({...locate(sources, attr, value), def});
+                    continue;
+                }
+                findReferences(value, text=>locate(sources, attr, text), HREFATTRIBUTES.includes(attr));
+            }
+            for(let child of element.children){
+                if(child.type !== undefined){
+                    checkRendered(child, sources, element.type == "defs");
+                }else if(child.text !== undefined && element.type == "style"){
+                    findReferences(child.text, text=>locate(sources, "children", text), false);
+                }
+            }
+        }
+    },
+
     /** DEVNOTE - parse[Element] functions are nested in parseJSON for two reasons:
      *      1) in order to avoid passing the obj argument (or its equations, specifically)
      *      2) because it doesn't seem necessary to expose them
@@ -181,52 +615,184 @@ export var ParametricSVG = {
      * @memberof ParametricSVG
      * @param {JsonDescription} description - The JSON to parse
      * @param {function} [evaluator] - The function to evaluate equations defined by the JSON
-     * @returns {Element} - The parsed SVG Element
+     * @param {Overrides} [overrides] - Values which replace the values of the JSON's equations (see getVariant)
+     * @param {RenderBackend} [backend] - The backend used to create the elements (ParametricSVG.backend by default)
+     * @param {boolean} [sources] - Whether to record the location of the component which created each element (see SOURCEATTRIBUTE)
+     * @returns {Element|StringElement} - The parsed SVG Element (created by the backend)
      */
-    parseJSON : function(description, evaluator){
+    parseJSON : function(description, evaluator, overrides, backend, sources = false){
         if (!evaluator){
             if(!ParametricSVG.evaluator){
                 throw new Error("No evaluator defined");
             }
             evaluator = ParametricSVG.evaluator;
         }
+        backend = backend ?? ParametricSVG.backend;
 
-        if(description.attributes?.viewBox){
-            let [x, y, width, height] = description.attributes.viewBox.split(" ");
-            if(!description.equations.vbw){
-                description.equations.vbw = {value: width};
+        /** @type {Variables} */
+        let variables;
+        if(ParametricSVG.compiler){
+            try{
+                variables = ParametricSVG.compileEquations(description).resolve(overrides);
+            }catch(e){
+                throw locateError(e, ["equations"]);
             }
-            if(!description.equations.vbh){
-                description.equations.vbh = {value: height};
+        }else{
+            // Copy each variable so that evaluators which store their results do not modify the description
+            variables = Object.fromEntries(Object.entries(ParametricSVG.getEquations(description)).map(([name, variable])=>[name, {...variable}]));
+            for(let [name, value] of Object.entries(overrides ?? {})){
+                variables[name] = {...variables[name], name, value, disabled: false};
             }
         }
 
-        let stringigied = JSON.stringify(description);
-        if(stringigied.includes("script")){
-            throw new Error("ParametricSVG does not support script tags or the inclusion of the string 'script'");
+        if(description.imports !== undefined){
+            throw new ParametricSVGError("The imports of the description must be resolved before it is parsed (see resolveImports)", ["imports"]);
         }
 
-        let svg = document.createElementNS(ParametricSVG.XMLNS, "svg");
+        /** The variables available to the children of component definitions (which cannot see the variables of their instances) */
+        let globals = variables;
+        /** The names of the definitions being added, used to detect instances which include themselves */
+        let instances = [];
+        /** The locations of the instances whose children are being added (see SOURCEATTRIBUTE) */
+        let instancepaths = [];
+        /** The type of each element which was created, used to check its attributes (see sanitizer.js)
+         * @type {WeakMap<Element|StringElement, string>}
+         */
+        let types = new WeakMap();
+
+        let svg = createElement("svg");
         // NOTE- XMLNS declaration is set as normal attribute (not Namespace Attribute)
-        svg.setAttribute("xmlns", ParametricSVG.XMLNS);
-        setComponentAttributes(svg, description.attributes);
+        backend.setAttribute(svg, "xmlns", ParametricSVG.XMLNS);
+        try{
+            // The root's attributes are only written by the description, so empty values (e.g.- style="") are kept
+            setComponentAttributes(svg, description.attributes, true);
+        }catch(e){
+            throw locateError(e, ["attributes"]);
+        }
+
+
+        description.svgcomponents.forEach((obj, i)=>appendComponent(svg, obj, ["svgcomponents", i]));
+
+        /**
+         * Creates an element in the SVG namespace with the backend
+         * @param {string} type - The type of element
+         * @returns {Element|StringElement}
+         */
+        function createElement(type){
+            checkElement(type);
+            let element = backend.createElement(ParametricSVG.XMLNS, type);
+            types.set(element, type);
+            return element;
+        }
 
+        /**
+         * Parses a component and appends the result to the provided element: raw components append
+         * the nodes of their content (see appendRaw) and repeat components append their children (see parseRepeat)
+         * @param {Element} parent - The element to append the component to
+         * @param {SVGDescription} obj - The component to parse
+         * @param {Array<string|number>} path - The location of the component in the description
+         */
+        function appendComponent(parent, obj, path){
+            if(obj.type == "raw"){
+                appendRaw(parent, obj, path);
+                return;
+            }
+            if(obj.type == "repeat" || obj.type == "instance"){
+                try{
+                    if(obj.type == "repeat") parseRepeat(obj, parent, path);
+                    else parseInstance(obj, parent, path);
+                }catch(e){
+                    throw locateError(e, path);
+                }
+                return;
+            }
+            backend.appendChild(parent, parseComponent(obj, path));
+        }
 
-        for (let obj of description.svgcomponents){
-            if (obj.type == "raw"){
-                svg.innerHTML += obj.content;
-                continue;
+        /**
+         * Parses the content of a raw component as XML, checks it with the sanitizer and appends its nodes
+         * to the provided element. Elements are in the SVG namespace unless the content declares another one
+         * (with xmlns attributes); prefixes must be declared in the content or be one of RAWNAMESPACES.
+         * @param {Element} parent - The element to append the content to
+         * @param {SVGDescription} obj - The raw component
+         * @param {Array<string|number>} path - The location of the component in the description
+         */
+        function appendRaw(parent, obj, path){
+            let source = sources ? JSON.stringify([...instancepaths, path]) : null;
+            /**
+             * @param {Element|StringElement} parent
+             * @param {XMLNode[]} nodes
+             * @param {Object<string, string>} namespaces - The namespace of each prefix ("" is the default namespace)
+             */
+            let append = (parent, nodes, namespaces)=>{
+                for(let node of nodes){
+                    if(node.type == "text"){
+                        backend.appendText(parent, node.value);
+                    }else if(node.type == "comment"){
+                        backend.appendComment(parent, node.value);
+                    }else{
+                        let scope = {...namespaces};
+                        for(let {name, value} of node.attributes){
+                            if(name == "xmlns") scope[""] = value;
+                            else if(name.startsWith("xmlns:")) scope[name.slice(6)] = value;
+                        }
+                        /** Returns the namespace of a name: unprefixed attributes have no namespace */
+                        let resolve = (name, element)=>{
+                            let colon = name.indexOf(":");
+                            if(colon == -1) return element ? scope[""] || null : null;
+                            let prefix = name.slice(0, colon);
+                            if(!scope[prefix]) throw new XMLError(`The namespace prefix "${prefix}" is not declared`, node.start);
+                            return scope[prefix];
+                        };
+                        let element;
+                        try{
+                            element = backend.createElement(resolve(node.name, true), node.name);
+                            for(let {name, value} of node.attributes){
+                                let namespace = name == "xmlns" ? RAWNAMESPACES.xmlns : resolve(name, false);
+                                if(namespace) backend.setAttributeNS(element, namespace, name, value);
+                                else backend.setAttribute(element, name, value);
+                            }
+                        }catch(e){
+                            // e.g.- DOMExceptions for names which are not allowed in a namespace
+                            throw e instanceof XMLError ? e : new XMLError(e?.message ?? String(e), node.start);
+                        }
+                        if(source !== null) backend.setAttribute(element, ParametricSVG.SOURCEATTRIBUTE, source);
+                        append(element, node.children, scope);
+                        backend.appendChild(parent, element);
+                    }
+                }
+            };
+            try{
+                let namespaces = {...RAWNAMESPACES, "": ParametricSVG.XMLNS};
+                append(parent, sanitizeMarkup(obj.content, namespaces), namespaces);
+            }catch(e){
+                // Both SanitizerErrors and XMLErrors record the offset in the content
+                throw new ParametricSVGError(e.message, [...path, "content"], e.offset, e);
             }
-            let element = parseComponent(obj);
-            svg.appendChild(element);
         }
 
         /**
-         * Parses a component object into an SVG Element
+         * Parses a component object into an SVG Element. Errors are raised as
+         * ParametricSVGErrors located at the component.
          * @param {SVGDescription} obj 
+         * @param {Array<string|number>} path - The location of the component in the description
          * @returns {Element} - The parsed SVG Element
          */
-        function parseComponent(obj){
+        function parseComponent(obj, path){
+            try{
+                return buildComponent(obj, path);
+            }catch(e){
+                throw locateError(e, path);
+            }
+        }
+
+        /**
+         * Builds the SVG Element for a component object (see parseComponent)
+         * @param {SVGDescription} obj 
+         * @param {Array<string|number>} path - The location of the component in the description
+         * @returns {Element} - The parsed SVG Element
+         */
+        function buildComponent(obj, path){
             let element = null;
             /**
              * Full list of supported types:
@@ -319,14 +885,18 @@ export var ParametricSVG = {
                 default:
                     throw new Error(`Invalid type ${obj.type}`);
             }
+            if(sources){
+                backend.setAttribute(element, ParametricSVG.SOURCEATTRIBUTE, JSON.stringify([...instancepaths, path]));
+            }
             if(obj.id){
                 setComponentAttributes(element, {id: obj.id});
             }
             if(obj.desc){
                 parseDescription(obj, element);
             }
-            if(obj.children !== undefined){
-                parseChildren(obj, element);
+            // The children of style are its text (see parseStyle)
+            if(obj.children !== undefined && obj.type != "style"){
+                parseChildren(obj, element, path);
             }
             return element;
         }
@@ -335,16 +905,123 @@ export var ParametricSVG = {
          * Parses the children of an object and appends them to the provided element
          * @param {SVGDescription} obj - The object to parse the children of
          * @param {Element} element - The element to append the children to
+         * @param {Array<string|number>} path - The location of the object in the description
          */
-        function parseChildren(obj, element){
-            for(let child of obj.children){
-                if(child.type == "raw"){
-                    element.innerHTML += child.content;
-                    continue;
+        function parseChildren(obj, element, path){
+            obj.children.forEach((child, i)=>appendComponent(element, child, [...path, "children", i]));
+        }
+
+        /**
+         * Appends the children of a RepeatDescription to the provided element count times. The index
+         * (and the count, if countAs is provided) are added to the variables while the children are parsed,
+         * so they are only available to the repeat's children (including nested repeats). They shadow equations
+         * and the variables of enclosing repeats with the same name.
+         * @param {RepeatDescription} obj - The repeat component
+         * @param {Element} element - The element to append the children to
+         * @param {Array<string|number>} path - The location of the repeat in the description
+         */
+        function parseRepeat(obj, element, path){
+            if(obj.count === undefined) throw new Error("A repeat requires a count");
+            let count = evaluateAt(obj.count, variables, [...path, "count"]);
+            if(!Number.isInteger(count) || count < 0){
+                throw new ParametricSVGError(`The count of a repeat must be a whole number, not ${count}`, [...path, "count"]);
+            }
+            if(count > REPEATLIMIT){
+                throw new ParametricSVGError(`The count of a repeat cannot be more than ${REPEATLIMIT} (received ${count})`, [...path, "count"]);
+            }
+            let names = {as: obj.as ?? "i", countAs: obj.countAs};
+            for(let [key, name] of Object.entries(names)){
+                if(name === undefined) continue;
+                if(typeof name != "string" || !VARIABLENAMEREG.test(name)){
+                    throw new ParametricSVGError(`Invalid variable name: ${name}`, [...path, key]);
                 }
-                let childele = parseComponent(child);
-                element.appendChild(childele);
-            } 
+            }
+            if(names.as == names.countAs){
+                throw new ParametricSVGError("The index and count of a repeat must have different names", [...path, "countAs"]);
+            }
+
+            let outer = variables;
+            try{
+                for(let index = 0; index < count; index++){
+                    variables = {...outer, [names.as]: {name: names.as, value: index}};
+                    if(names.countAs !== undefined) variables[names.countAs] = {name: names.countAs, value: count};
+                    (obj.children ?? []).forEach((child, i)=>appendComponent(element, child, [...path, "children", i]));
+                }
+            }finally{
+                variables = outer;
+            }
+        }
+
+        /**
+         * Appends the children of the ComponentDefinition named by an InstanceDescription to the provided element.
+         * Arguments are evaluated with the instance's variables; the definition's children can only use its
+         * parameters and the description's equations (parameters take precedence over equations with the same name).
+         * @param {InstanceDescription} obj - The instance component
+         * @param {Element} element - The element to append the children to
+         * @param {Array<string|number>} path - The location of the instance in the description
+         */
+        function parseInstance(obj, element, path){
+            let name = obj.component;
+            let definition = typeof name == "string" && Object.hasOwn(description.components ?? {}, name) ? description.components[name] : undefined;
+            if(!definition || typeof definition != "object"){
+                throw new ParametricSVGError(`Unknown component: ${name}`, [...path, "component"]);
+            }
+            if(instances.includes(name)){
+                throw new ParametricSVGError(`Component "${name}" includes itself: ${[...instances, name].join(" -> ")}`, [...path, "component"]);
+            }
+            let parameters = definition.parameters ?? {};
+            let args = obj.arguments ?? {};
+            for(let arg of Object.keys(args)){
+                if(!Object.hasOwn(parameters, arg)){
+                    throw new ParametricSVGError(`Component "${name}" does not have a parameter named "${arg}"`, [...path, "arguments", arg]);
+                }
+            }
+
+            let definitionpath = ["components", name];
+            let scope = {...globals};
+            for(let [parameter, options] of Object.entries(parameters)){
+                let value = options?.value;
+                if(!VARIABLENAMEREG.test(parameter)){
+                    throw new ParametricSVGError(`Invalid parameter name: ${parameter}`, [...definitionpath, "parameters", parameter]);
+                }
+                if(args[parameter] !== undefined){
+                    scope[parameter] = {name: parameter, value: evaluateAt(args[parameter], variables, [...path, "arguments", parameter])};
+                }else if(value !== undefined){
+                    // Default values can use the parameters before them
+                    scope[parameter] = {name: parameter, value: evaluateAt(value, scope, [...definitionpath, "parameters", parameter, "value"])};
+                }else{
+                    throw new ParametricSVGError(`Missing argument "${parameter}" for component "${name}"`, path);
+                }
+            }
+
+            let outer = variables;
+            instances.push(name);
+            instancepaths.push(path);
+            try{
+                variables = scope;
+                (definition.children ?? []).forEach((child, i)=>appendComponent(element, child, [...definitionpath, "children", i]));
+            }finally{
+                variables = outer;
+                instances.pop();
+                instancepaths.pop();
+            }
+        }
+
+        /**
+         * Evaluates an equation written in a component (e.g.- the count of a repeat)
+         * @param {Equation|number} equation - The equation to evaluate
+         * @param {Variables} scope - The variables available to the equation
+         * @param {Array<string|number>} path - The location of the equation in the description
+         * @returns {number} - The result of the equation
+         */
+        function evaluateAt(equation, scope, path){
+            try{
+                return evaluator(equation, scope);
+            }catch(e){
+                // Errors raised by a referenced equation are located at that equation
+                if(e?.variable !== undefined) throw e;
+                throw new ParametricSVGError(e?.message ?? String(e), path, e?.offset, e);
+            }
         }
 
         /**
@@ -353,23 +1030,26 @@ export var ParametricSVG = {
          * @param {Element} element - The element to add the description to
          */
         function parseDescription(obj, element){
-            let desc = document.createElementNS(ParametricSVG.XMLNS, "desc");
-            desc.textContent = obj.desc;
-            element.appendChild(desc);
+            let desc = createElement("desc");
+            backend.setText(desc, obj.desc);
+            backend.appendChild(element, desc);
         }
 
         /**
          * Updates the provided attributes via updateObjectEquation and sets the attributes of an SVG Element.
+         * Attributes which are rejected by the sanitizer raise a SanitizerError.
          * @param {Element} element - The Element to set the attributes on
          * @param {Object<string, string>} attributes - The attributes to update and set
+         * @param {boolean} [keepEmpty] - Whether to set attributes whose value is an empty string. Components skip them,
+         *      because setUndefined converts the keys which they do not define to empty strings
          */
-        function setComponentAttributes(element, attributes){
+        function setComponentAttributes(element, attributes, keepEmpty = false){
             for(let [attr, val] of Object.entries(attributes)){
                 if(Array.isArray(val)){
                     let v = "";
                     for(let v1 of val){
                         try{
-                            v1 = evaluator(v1, description.equations);
+                            v1 = evaluator(v1, variables);
                         }catch(e){
                         }
                         v+=v1;
@@ -378,14 +1058,19 @@ export var ParametricSVG = {
                 }
                 if(val){
                     try{
-                        val = evaluator(val, description.equations);
+                        val = evaluator(val, variables);
                     }catch(e){
                         // console.error(e);
                     }
                 }
-                if(val === undefined || val === null || val === "") continue;
+                if(val === undefined || val === null || (val === "" && !keepEmpty)) continue;
+                checkAttribute(types.get(element), attr, val);
                 try{
-                    element.setAttributeNS(null, attr, val);
+                    // Attributes are set without a namespace, so prefixed names cannot be used
+                    if(attr.includes(":") || attr == "xmlns"){
+                        throw new Error(`Namespaced attributes are not supported: ${attr}`);
+                    }
+                    backend.setAttribute(element, attr, val);
                 }catch(e){
                     console.error(e);
                 }
@@ -409,6 +1094,19 @@ export var ParametricSVG = {
             return val;
         }
 
+        /**
+         * Formats a preserveAspectRatio object (as described by the schema and written by importSVG) as the value
+         * of the preserveAspectRatio attribute
+         * @param {{align: string, meetOrSlice: string}} [aspectRatio] - The preserveAspectRatio of a component
+         * @returns {string} - The attribute value (an empty string if aspectRatio is not defined)
+         */
+        function parseAspectRatio(aspectRatio){
+            if(!aspectRatio) return "";
+            let align = setUndefined(aspectRatio.align, ["none", "xMinYMin", "xMidYMin", "xMaxYMin", "xMinYMid", "xMidYMid", "xMaxYMid", "xMinYMax", "xMidYMax", "xMaxYMax"]);
+            let meetOrSlice = setUndefined(aspectRatio.meetOrSlice, ["meet", "slice"]);
+            return `${align} ${meetOrSlice}`.trim();
+        }
+
         /**
          * Parses a generic SVG Element which does not have required attributes
          * @param {SVGDescription} component 
@@ -416,7 +1114,7 @@ export var ParametricSVG = {
          */
         function parseGeneric(component){
             let attributes = {...component.attributes}
-            let out = document.createElementNS(ParametricSVG.XMLNS, component.type);
+            let out = createElement(component.type);
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -431,7 +1129,7 @@ export var ParametricSVG = {
             attributes.cx = setUndefined(component.cx);
             attributes.cy = setUndefined(component.cy);
             attributes.r = setUndefined(component.r);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "circle");
+            let out = createElement("circle");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -448,7 +1146,7 @@ export var ParametricSVG = {
             attributes.rx = setUndefined(component.rx);
             attributes.ry = setUndefined(component.ry);
             
-            let out = document.createElementNS(ParametricSVG.XMLNS,"ellipse");
+            let out = createElement("ellipse");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -464,7 +1162,7 @@ export var ParametricSVG = {
             attributes.y1 = setUndefined(component.y1);
             attributes.x2 = setUndefined(component.x2);
             attributes.y2 = setUndefined(component.y2);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "line");
+            let out = createElement("line");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -482,7 +1180,7 @@ export var ParametricSVG = {
             attributes.height = setUndefined(component.height);
             attributes.rx = setUndefined(component.rx);
             attributes.ry = setUndefined(component.ry);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "rect");
+            let out = createElement("rect");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -496,9 +1194,9 @@ export var ParametricSVG = {
             let attributes = {...component.attributes};
             attributes.points = "";
             for(let [x,y] of component.points||[]){
-                attributes.points += `${evaluator(x, description.equations)},${evaluator(y, description.equations)} `;
+                attributes.points += `${evaluator(x, variables)},${evaluator(y, variables)} `;
             }
-            let out = document.createElementNS(ParametricSVG.XMLNS, "polygon");
+            let out = createElement("polygon");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -512,9 +1210,9 @@ export var ParametricSVG = {
             let attributes = {...component.attributes};
             attributes.points = "";
             for(let [x,y] of component.points||[]){
-                attributes.points += `${evaluator(x, description.equations)},${evaluator(y, description.equations)} `;
+                attributes.points += `${evaluator(x, variables)},${evaluator(y, variables)} `;
             }
-            let out = document.createElementNS(ParametricSVG.XMLNS, "polyline");
+            let out = createElement("polyline");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -533,11 +1231,11 @@ export var ParametricSVG = {
             function parseDefault({type, x, y}){
                 if(type == "close") return "Z";
                 try{
-                    x = evaluator(x, description.equations);
+                    x = evaluator(x, variables);
                 }catch(e){  }
                 if(type == "horizontal"){ return `H ${x}`; }
                 try{
-                    y = evaluator(y, description.equations);
+                    y = evaluator(y, variables);
                 }catch(e){  }
                 if(type == "move"){
                     return `M ${x} ${y}`;
@@ -554,13 +1252,13 @@ export var ParametricSVG = {
              * @returns {string}- The path segment string
              */
             function parseCubic({type, x1=0, y1=0, x2=0, y2=0, x=0, y=0}){
-                x2 = evaluator(x2, description.equations);
-                y2 = evaluator(y2, description.equations);
-                x = evaluator(x, description.equations);
-                y = evaluator(y, description.equations);
+                x2 = evaluator(x2, variables);
+                y2 = evaluator(y2, variables);
+                x = evaluator(x, variables);
+                y = evaluator(y, variables);
                 if(type == "cubic"){
-                    x1 = evaluator(x1, description.equations);
-                    y1 = evaluator(y1, description.equations);
+                    x1 = evaluator(x1, variables);
+                    y1 = evaluator(y1, variables);
                     return `C ${x1} ${y1},${x2} ${y2},${x} ${y}`;
                 }else if (type == "shortcubic"){
                     return `S ${x2} ${y2},${x} ${y}`
@@ -572,11 +1270,11 @@ export var ParametricSVG = {
              * @returns {string}- The path segment string
              */
             function parseQuadratic({type, x1=0, y1=0, x=0, y=0}){
-                x = evaluator(x, description.equations);
-                y = evaluator(y, description.equations);
+                x = evaluator(x, variables);
+                y = evaluator(y, variables);
                 if(type == "quadratic"){
-                    x1 = evaluator(x1, description.equations);
-                    y1 = evaluator(y1, description.equations);
+                    x1 = evaluator(x1, variables);
+                    y1 = evaluator(y1, variables);
                     return `Q ${x1} ${y1},${x} ${y}`;
                 }else if (type == "shortquadratic"){
                     return `T ${x} ${y}`
@@ -589,10 +1287,10 @@ export var ParametricSVG = {
              * @returns {string}- The path segment string
              */
             function parseArc({type, x, y, rx, ry, xRotation, largeArcFlag, sweepFlag}){
-                x = evaluator(x, description.equations);
-                y = evaluator(y, description.equations);
-                rx = evaluator(rx, description.equations);
-                ry = evaluator(ry, description.equations);
+                x = evaluator(x, variables);
+                y = evaluator(y, variables);
+                rx = evaluator(rx, variables);
+                ry = evaluator(ry, variables);
                 if(type == "arc"){
                     return `A ${rx} ${ry} ${xRotation} ${largeArcFlag? 1 : 0} ${sweepFlag? 1 : 0} ${x} ${y}`;
                 }
@@ -601,13 +1299,14 @@ export var ParametricSVG = {
 
             let attributes = {...component.attributes};
             // path can be used as an alias for d
+            let segments = component.d;
             if(component.d === undefined && component.path !== undefined){
-                component.d = component.path;
+                segments = component.path;
             }else if(component.d !== undefined && component.path !== undefined){
                 throw new Error("Cannot specify both d and path");
             }
             attributes.d = "";
-            for(let segment of component.d||[]){
+            for(let segment of segments||[]){
                 /** @type {function} */
                 let callback;
                 switch(segment.type.toLowerCase()){
@@ -649,7 +1348,7 @@ export var ParametricSVG = {
                 attributes.d+=" "+pointval;
             }
             
-            let out = document.createElementNS(ParametricSVG.XMLNS, "path");
+            let out = createElement("path");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -666,7 +1365,7 @@ export var ParametricSVG = {
             attributes.referrerpolicy = setUndefined(component.referrerpolicy, ["no-referrer", "no-referrer-when-downgrade", "origin", "origin-when-cross-origin", "same-origin", "strict-origin", "strict-origin-when-cross-origin", "unsafe-url"]);
             attributes.rel = setUndefined(component.rel);
             attributes.type = setUndefined(component['a.type']);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "a");
+            let out = createElement("a");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -674,7 +1373,7 @@ export var ParametricSVG = {
         function parseClipPath(component){
             let attributes = {...component.attributes};
             attributes.clipPathUnits = setUndefined(component.clipPathUnits, ["userSpaceOnUse","objectBoundingBox"]);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "clipPath");
+            let out = createElement("clipPath");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -685,7 +1384,7 @@ export var ParametricSVG = {
             attributes.y = setUndefined(component.y);
             attributes.width = setUndefined(component.width);
             attributes.height = setUndefined(component.height);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "foreignObject");
+            let out = createElement("foreignObject");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -700,17 +1399,10 @@ export var ParametricSVG = {
             if(!attributes.href){
                 attributes.href = setUndefined(component["xlink:href"]);
             }
-            let aspectRatio = component.preserveAspectRatio;
-            if(aspectRatio){
-                aspectRatio = {
-                    align: setUndefined(aspectRatio.align, ["none", "xMinYMin", "xMidYMin", "xMaxYMin", "xMinYMid", "xMidYMid", "xMaxYMid", "xMinYMax", "xMidYMax", "xMaxYMax"]),
-                    meetOrSlice: setUndefined(aspectRatio.meetOrSlice, ["meet", "slice"])
-                }
-            }
-            attributes.preserveAspectRatio = setUndefined(aspectRatio);
+            attributes.preserveAspectRatio = parseAspectRatio(component.preserveAspectRatio);
             attributes.crossOrigin = setUndefined(component.crossOrigin);
             attributes.decoding = setUndefined(component.decoding, ["auto", "sync", "async"]);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "image");
+            let out = createElement("image");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -728,7 +1420,7 @@ export var ParametricSVG = {
             if(!attributes.href){
                 attributes.href = setUndefined(component["xlink:href"]);
             }
-            let out = document.createElementNS(ParametricSVG.XMLNS, "linearGradient");
+            let out = createElement("linearGradient");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -741,16 +1433,9 @@ export var ParametricSVG = {
             attributes.markerWidth = setUndefined(component.markerWidth);
             attributes.markerHeight = setUndefined(component.markerHeight);
             attributes.orient = setUndefined(component.orient);
-            let aspectRatio = component.preserveAspectRatio;
-            if(aspectRatio){
-                aspectRatio = {
-                    align: setUndefined(aspectRatio.align, ["none", "xMinYMin", "xMidYMin", "xMaxYMin", "xMinYMid", "xMidYMid", "xMaxYMid", "xMinYMax", "xMidYMax", "xMaxYMax"]),
-                    meetOrSlice: setUndefined(aspectRatio.meetOrSlice, ["meet", "slice"])
-                }
-            }
-            attributes.preserveAspectRatio = setUndefined(aspectRatio);
+            attributes.preserveAspectRatio = parseAspectRatio(component.preserveAspectRatio);
             attributes.viewBox = setUndefined(component.viewBox);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "marker");
+            let out = createElement("marker");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -763,7 +1448,7 @@ export var ParametricSVG = {
             attributes.y = setUndefined(component.y);
             attributes.width = setUndefined(component.width);
             attributes.height = setUndefined(component.height);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "mask");
+            let out = createElement("mask");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -777,20 +1462,13 @@ export var ParametricSVG = {
             attributes.patternContentUnits = setUndefined(component.patternContentUnits, ["userSpaceOnUse", "objectBoundingBox"]);
             attributes.patternTransform = setUndefined(component.patternTransform);
             attributes.href = setUndefined(component.href);
-            let aspectRatio = component.preserveAspectRatio;
-            if(aspectRatio){
-                aspectRatio = {
-                    align: setUndefined(aspectRatio.align, ["none", "xMinYMin", "xMidYMin", "xMaxYMin", "xMinYMid", "xMidYMid", "xMaxYMid", "xMinYMax", "xMidYMax", "xMaxYMax"]),
-                    meetOrSlice: setUndefined(aspectRatio.meetOrSlice, ["meet", "slice"])
-                }
-            }
-            attributes.preserveAspectRatio = setUndefined(aspectRatio);
+            attributes.preserveAspectRatio = parseAspectRatio(component.preserveAspectRatio);
             attributes.viewBox = setUndefined(component.viewBox);
             attributes.x = setUndefined(component.x);
             attributes.y = setUndefined(component.y);
             attributes.width = setUndefined(component.width);
             attributes.height = setUndefined(component.height);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "pattern");
+            let out = createElement("pattern");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -810,7 +1488,7 @@ export var ParametricSVG = {
             if(!attributes.href){
                 attributes.href = setUndefined(component["xlink:href"]);
             }
-            let out = document.createElementNS(ParametricSVG.XMLNS, "radialGradient");
+            let out = createElement("radialGradient");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -820,7 +1498,7 @@ export var ParametricSVG = {
             attributes.offset = setUndefined(component.offset);
             attributes['stop-color'] = setUndefined(component.stopColor);
             attributes['stop-opacity'] = setUndefined(component.stopOpacity);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "stop");
+            let out = createElement("stop");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -830,30 +1508,24 @@ export var ParametricSVG = {
             attributes.type = setUndefined(component['style.type']);
             attributes.media = setUndefined(component.media);
             attributes.title = setUndefined(component.title);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "style");
+            let out = createElement("style");
             setComponentAttributes(out, attributes);
-            out.textContent = component.children;
+            checkStyle(component.children ?? "");
+            backend.setText(out, component.children);
             return out;
         }
 
         function parseSymbol(component){
             let attributes = {...component.attributes};
             attributes.viewBox = setUndefined(component.viewBox);
-            let aspectRatio = component.preserveAspectRatio;
-            if(aspectRatio){
-                aspectRatio = {
-                    align: setUndefined(aspectRatio.align, ["none", "xMinYMin", "xMidYMin", "xMaxYMin", "xMinYMid", "xMidYMid", "xMaxYMid", "xMinYMax", "xMidYMax", "xMaxYMax"]),
-                    meetOrSlice: setUndefined(aspectRatio.meetOrSlice, ["meet", "slice"])
-                }
-            }
-            attributes.preserveAspectRatio = setUndefined(aspectRatio);
+            attributes.preserveAspectRatio = parseAspectRatio(component.preserveAspectRatio);
             attributes.refX = setUndefined(component.refX);
             attributes.refY = setUndefined(component.refY);
             attributes.x = setUndefined(component.x);
             attributes.y = setUndefined(component.y);
             attributes.width = setUndefined(component.width);
             attributes.height = setUndefined(component.height);            
-            let out = document.createElementNS(ParametricSVG.XMLNS, "symbol");
+            let out = createElement("symbol");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -867,7 +1539,7 @@ export var ParametricSVG = {
             attributes.rotate = setUndefined(component.rotate);
             attributes.textLength = setUndefined(component.textLength);
             attributes.lengthAdjust = setUndefined(component.lengthAdjust, ["spacing", "spacingAndGlyphs"]);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "text");
+            let out = createElement("text");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -887,14 +1559,14 @@ export var ParametricSVG = {
             //       (it may be useful to extract the path parsing from parsePath)
             if(attributes.path){
                 let path = parsePath({d: attributes.path});
-                attributes.path = path.getAttributeNS(null, "d");
+                attributes.path = backend.getAttribute(path, "d");
             }
             attributes.startOffset = setUndefined(component.startOffset);
             attributes.method = setUndefined(component.method, ["align", "stretch"]);
             attributes.spacing = setUndefined(component.spacing, ["auto", "exact"]);
             attributes.side = setUndefined(component.side, ["left", "right"]);
             attributes.textLength = setUndefined(component.textLength);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "textPath");
+            let out = createElement("textPath");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -908,7 +1580,7 @@ export var ParametricSVG = {
             attributes.rotate = setUndefined(component.rotate);
             attributes.textLength = setUndefined(component.textLength);
             attributes.lengthAdjust = setUndefined(component.lengthAdjust, ["spacing", "spacingAndGlyphs"]);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "tspan");
+            let out = createElement("tspan");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -923,7 +1595,7 @@ export var ParametricSVG = {
             if(!attributes.href){
                 attributes.href = setUndefined(component["xlink:href"]);
             }
-            let out = document.createElementNS(ParametricSVG.XMLNS, "use");
+            let out = createElement("use");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -931,15 +1603,8 @@ export var ParametricSVG = {
         function parseView(component){
             let attributes = {...component.attributes};
             attributes.viewBox = setUndefined(component.viewBox);
-            let aspectRatio = component.preserveAspectRatio;
-            if(aspectRatio){
-                aspectRatio = {
-                    align: setUndefined(aspectRatio.align, ["none", "xMinYMin", "xMidYMin", "xMaxYMin", "xMinYMid", "xMidYMid", "xMaxYMid", "xMinYMax", "xMidYMax", "xMaxYMax"]),
-                    meetOrSlice: setUndefined(aspectRatio.meetOrSlice, ["meet", "slice"])
-                }
-            }
-            attributes.preserveAspectRatio = setUndefined(aspectRatio);
-            let out = document.createElementNS(ParametricSVG.XMLNS, "view");
+            attributes.preserveAspectRatio = parseAspectRatio(component.preserveAspectRatio);
+            let out = createElement("view");
             setComponentAttributes(out, attributes);
             return out;
         }
@@ -955,9 +1620,27 @@ export var ParametricSVG = {
      * @param {JsonDescription} description - The Json Description to parse
      * @param {SVGElement} svg - The SVG Element to replace
      * @param {function} [evaluator] - The evaluator function to use for equations
+     * @param {Overrides} [overrides] - Values which replace the values of the JSON's equations
+     * @param {boolean} [sources] - Whether to record the component which created each element (see SOURCEATTRIBUTE)
      */
-    updateSVG : function(description, svg, evaluator){
-        let parsed = ParametricSVG.parseJSON(description, evaluator);
+    updateSVG : function(description, svg, evaluator, overrides, sources = false){
+        let parsed = ParametricSVG.parseJSON(description, evaluator, overrides, DOMBackend, sources);
         svg.replaceWith(parsed);
+    },
+
+    /**
+     * Parses the JSON description without a DOM and returns the markup of the SVG
+     * (the same markup as the outerHTML of the Element returned by parseJSON, except that no-break spaces are
+     * written as "&#160;" instead of "&nbsp;", which is not defined in XML)
+     * @param {JsonDescription} description - The Json Description to parse
+     * @param {function} [evaluator] - The evaluator function to use for equations
+     * @param {Overrides} [overrides] - Values which replace the values of the JSON's equations
+     * @param {boolean} [declaration] - Whether to start the markup with the XML File Declaration (see formatDeclaration)
+     * @returns {string} - The markup of the SVG
+     */
+    renderString : function(description, evaluator, overrides, declaration = false){
+        let parsed = ParametricSVG.parseJSON(description, evaluator, overrides, StringBackend);
+        let markup = StringBackend.serialize(parsed);
+        return declaration ? ParametricSVG.formatDeclaration() + markup : markup;
     }
 }
\ No newline at end of file
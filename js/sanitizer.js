@@ -0,0 +1,219 @@
+"use strict";
+/**
+ * An allow-list sanitizer for the elements created by ParametricSVG.parseJSON and the content of raw components
+ *
+ * Rejected:
+ *  - Elements which are not in ALLOWEDELEMENTS (e.g.- <script>, <iframe>) or not in the SVG namespace. The contents
+ *    of <metadata> are not rendered, so they may use elements of other namespaces (e.g.- the RDF added by editors),
+ *    but not XHTML elements or FORBIDDENELEMENTS (whatever their prefix), and their attributes are still checked
+ *  - Event handler attributes (on*), srcdoc and animations which change them or a URL
+ *  - javascript: and vbscript: URLs and data: URLs other than images (e.g.- data:text/html)
+ *  - External resources: URLs which load a resource (e.g.- the href of <image> and <use>, or url() in styles)
+ *    must refer to a fragment of the document (#id) or be a data: image, and styles cannot use @import.
+ *    Links (the href of <a>) may point to other documents.
+ */
+
+import { parseXMLFragment, XMLError } from "./xml.js";
+
+/**
+ * @typedef {import("./xml.js").XMLNode} XMLNode
+ */
+
+/** The elements which can be rendered */
+const ALLOWEDELEMENTS = new Set([
+    "svg", "g", "defs", "desc", "title", "metadata", "symbol", "use", "switch", "a", "view",
+    "circle", "ellipse", "line", "rect", "polygon", "polyline", "path",
+    "text", "tspan", "textPath", "image", "foreignObject", "style",
+    "clipPath", "mask", "pattern", "marker", "linearGradient", "radialGradient", "stop",
+    "filter", "feBlend", "feColorMatrix", "feComponentTransfer", "feComposite", "feConvolveMatrix",
+    "feDiffuseLighting", "feDisplacementMap", "feDistantLight", "feDropShadow", "feFlood",
+    "feFuncA", "feFuncB", "feFuncG", "feFuncR", "feGaussianBlur", "feImage", "feMerge", "feMergeNode",
+    "feMorphology", "feOffset", "fePointLight", "feSpecularLighting", "feSpotLight", "feTile", "feTurbulence",
+    "animate", "animateMotion", "animateTransform", "mpath", "set",
+]);
+/** The namespace of the elements which can be rendered */
+const SVGNAMESPACE = "http://www.w3.org/2000/svg";
+/** The namespace of HTML elements, which are not allowed even inside <metadata> */
+const XHTMLNAMESPACE = "http://www.w3.org/1999/xhtml";
+/** The namespaces of the prefixes which markup can use without declaring them, and its default namespace ("") */
+const DEFAULTNAMESPACES = {
+    "": SVGNAMESPACE,
+    xml: "http://www.w3.org/XML/1998/namespace",
+    xmlns: "http://www.w3.org/2000/xmlns/",
+    xlink: "http://www.w3.org/1999/xlink"
+};
+/** Elements which are never allowed, even inside <metadata> */
+const FORBIDDENELEMENTS = new Set(["script", "iframe", "object", "embed", "frame", "frameset", "handler", "listener"]);
+/** Attributes whose values are URLs */
+const URLATTRIBUTES = new Set(["href", "xlink:href", "src"]);
+/** Animation elements, whose attributeName could change the attributes which are checked here */
+const ANIMATIONELEMENTS = new Set(["animate", "animateMotion", "animateTransform", "set"]);
+/** Matches the data: URLs of images */
+const DATAIMAGEREG = /^data:image\/(?:png|jpeg|gif|webp|bmp|avif|svg\+xml)[;,]/;
+/** Matches url() in styles and presentation attributes */
+const CSSURLREG = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*?))\s*\)/gi;
+
+/**
+ * An Error raised when markup is rejected by the sanitizer
+ */
+export class SanitizerError extends Error{
+    /**
+     * @param {string} message - A description of the problem
+     * @param {number} [offset] - The offset in the markup of the element which was rejected
+     */
+    constructor(message, offset){
+        super(message);
+        this.name = "SanitizerError";
+        this.offset = offset;
+    }
+}
+
+/**
+ * Returns the local name of a qualified name (the part after the prefix)
+ * @param {string} name - The name (e.g.- "xlink:href")
+ * @returns {string}
+ */
+function localName(name){
+    return name.slice(name.indexOf(":")+1);
+}
+
+/**
+ * Raises a SanitizerError if an element cannot be rendered
+ * @param {string} type - The type (tag name) of the element, which may be prefixed
+ * @param {boolean} [metadata] - Whether the element is inside <metadata>
+ * @param {string|null} [namespace] - The namespace of the element (SVG by default)
+ */
+export function checkElement(type, metadata = false, namespace = SVGNAMESPACE){
+    let name = String(type);
+    let local = localName(name);
+    if(FORBIDDENELEMENTS.has(local.toLowerCase()) || (!metadata && !ALLOWEDELEMENTS.has(local))){
+        throw new SanitizerError(`<${name}> elements are not allowed`);
+    }
+    if(namespace == XHTMLNAMESPACE || (!metadata && namespace != SVGNAMESPACE)){
+        throw new SanitizerError(`<${name}> elements are not allowed outside of the SVG namespace (${namespace ?? "no namespace"})`);
+    }
+}
+
+/**
+ * Raises a SanitizerError if a URL could run code or load an external resource
+ * @param {string} url - The URL
+ * @param {boolean} link - Whether the URL is a link to another document (which is not loaded by the SVG)
+ * @param {string} location - A description of where the URL is used, for errors
+ */
+function checkURL(url, link, location){
+    // Browsers ignore whitespace and control characters in the scheme
+    let normalized = String(url).replace(/[\u0000- ]/g, "").toLowerCase();
+    if(/^(?:javascript|vbscript):/.test(normalized)){
+        throw new SanitizerError(`${normalized.slice(0, normalized.indexOf(":")+1)} URLs are not allowed (${location})`);
+    }
+    if(normalized.startsWith("data:")){
+        if(!DATAIMAGEREG.test(normalized)) throw new SanitizerError(`data: URLs other than images are not allowed (${location})`);
+        return;
+    }
+    if(!link && normalized && !normalized.startsWith("#")){
+        throw new SanitizerError(`External resources are not allowed (${location}): use a fragment (#id) or a data: image`);
+    }
+}
+
+/**
+ * Replaces the escape sequences in CSS so that escaped keywords (e.g.- "\75rl(") are checked
+ * @param {string} css
+ * @returns {string}
+ */
+function unescapeCSS(css){
+    return css.replace(/\\([0-9a-fA-F]{1,6})\s?/g, (match, hex)=>String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10FFFF) || 0xFFFD))
+        .replace(/\\(.)/g, "$1");
+}
+
+/**
+ * Raises a SanitizerError if a style (the content of a <style>, a style attribute or a presentation attribute)
+ * could run code or load an external resource
+ * @param {string} css - The style
+ * @param {string} [location] - A description of where the style is used, for errors
+ */
+export function checkStyle(css, location = "style"){
+    let style = unescapeCSS(String(css));
+    if(/@import/i.test(style)) throw new SanitizerError(`@import is not allowed (${location})`);
+    if(/expression\s*\(/i.test(style)) throw new SanitizerError(`CSS expressions are not allowed (${location})`);
+    if(/(?:javascript|vbscript)\s*:/i.test(style)) throw new SanitizerError(`Scripts are not allowed (${location})`);
+    for(let [, double, single, bare] of style.matchAll(CSSURLREG)){
+        checkURL(double ?? single ?? bare, false, location);
+    }
+}
+
+/**
+ * Raises a SanitizerError if an attribute could run code or load an external resource
+ * @param {string} type - The type of the element
+ * @param {string} name - The name of the attribute
+ * @param {*} value - The value of the attribute
+ */
+export function checkAttribute(type, name, value){
+    name = String(name);
+    value = String(value);
+    let location = `${name} of <${type}>`;
+    // Prefixed names are checked by their local name (e.g.- any prefix can be bound to the xlink namespace)
+    let local = localName(name);
+    if(/^on/i.test(local)) throw new SanitizerError(`Event handler attributes are not allowed (${location})`);
+    if(local.toLowerCase() == "srcdoc") throw new SanitizerError(`srcdoc attributes are not allowed (${location})`);
+    if(URLATTRIBUTES.has(local)) checkURL(value, localName(String(type)) == "a", location);
+    if(name == "style" || /url\s*\(|\\/i.test(value)) checkStyle(value, location);
+}
+
+/**
+ * Parses markup (e.g.- the content of a raw component) and raises a SanitizerError if it contains
+ * anything which cannot be rendered (see checkElement, checkAttribute and checkStyle). Errors raised by
+ * an attribute are located at the attribute, other errors at the element's start tag.
+ * XMLErrors are raised for malformed markup and undeclared namespace prefixes.
+ * @param {string} markup - The markup
+ * @param {Object<string, string>} [namespaces] - The namespace of each prefix which the markup can use without
+ *      declaring it ("" is the default namespace); DEFAULTNAMESPACES by default
+ * @returns {XMLNode[]} - The nodes of the markup
+ */
+export function sanitizeMarkup(markup, namespaces = DEFAULTNAMESPACES){
+    let nodes = parseXMLFragment(markup);
+    /**
+     * @param {XMLNode[]} nodes
+     * @param {boolean} metadata - Whether the nodes are inside <metadata>
+     * @param {Object<string, string>} namespaces - The namespace of each prefix
+     */
+    let check = (nodes, metadata, namespaces)=>{
+        for(let node of nodes){
+            if(node.type != "element") continue;
+            let scope = {...namespaces};
+            for(let {name, value} of node.attributes){
+                if(name == "xmlns") scope[""] = value;
+                else if(name.startsWith("xmlns:")) scope[name.slice(6)] = value;
+            }
+            let colon = node.name.indexOf(":");
+            let prefix = colon == -1 ? "" : node.name.slice(0, colon);
+            if(prefix && !scope[prefix]) throw new XMLError(`The namespace prefix "${prefix}" is not declared`, node.start);
+            let local = localName(node.name);
+            try{
+                checkElement(node.name, metadata, scope[prefix] || null);
+                if(ANIMATIONELEMENTS.has(local)){
+                    let target = node.attributes.find(({name})=>name == "attributeName")?.value ?? "";
+                    if(/^on/i.test(localName(target)) || URLATTRIBUTES.has(localName(target)) || target == "style"){
+                        throw new SanitizerError(`Animations cannot change the ${target} attribute`);
+                    }
+                }
+                if(local == "style"){
+                    checkStyle(node.children.map(child=>child.type == "text" ? child.value : "").join(""));
+                }
+            }catch(e){
+                if(e instanceof SanitizerError && e.offset === undefined) e.offset = node.start;
+                throw e;
+            }
+            for(let {name, value, start} of node.attributes){
+                try{
+                    checkAttribute(node.name, name, value);
+                }catch(e){
+                    if(e instanceof SanitizerError && e.offset === undefined) e.offset = start;
+                    throw e;
+                }
+            }
+            check(node.children, metadata || local == "metadata", scope);
+        }
+    };
+    check(nodes, false, namespaces);
+    return nodes;
+}
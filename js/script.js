@@ -1,45 +1,374 @@
 "use-strict;"
 
 import { ParametricSVG } from "./parametricsvg.js";
-import { evaluateEquation } from "./equations.js";
+import { evaluateEquation, compileEquations } from "./equations.js";
 
-const MIN = 50;
-const MAX = 500;
+/** The smallest and largest displayed widths of the SVG in pixels */
+const MIN = 1;
+const MAX = 100000;
 var WIDTH = 150;
 var RATIO = 1.0;
+/** The position of the SVG's top left corner in the preview area, in pixels (changed by panning and zooming) */
+var OFFSET = {x: 0, y: 0};
+/** Whether the SVG has been fitted to the preview area since the preview was opened */
+var FITTED = false;
+/** Display options, which are kept in the webview's state */
+var OPTIONS = {grid: false, rulers: false};
+/** The width of the rulers in pixels */
+const RULERSIZE = 20;
+/** The smallest distance between grid lines in pixels */
+const GRIDSPACING = 10;
+/** The number of grid lines between major grid lines (which are labelled on the rulers) */
+const MAJORLINES = 5;
+/** The namespace used to create the grid and rulers */
+const SVGNS = "http://www.w3.org/2000/svg";
+/** The distance in pixels the pointer must move before a click becomes a drag (which pans instead of revealing the clicked element) */
+const DRAGDISTANCE = 3;
+/** Whether the pointer was dragged since it was last pressed */
+var DRAGGED = false;
+/** The location of the component selected in the editor, whose elements are highlighted (null if none)
+ * @type {Array<string|number>|null}
+ */
+var HIGHLIGHT = null;
 
-// Because errors can be triggered on every change (plus other actions in the editor)
-// it is important not to spam the user with errors
-/** @type {number} */
-var notificationtimeout = Date.now();
-/** @type {string} */
-var last_error = "";
+/** The most recent JsonDescription received from the extension */
+var DESCRIPTION = null;
+/** The name of the variant being previewed ("" for the default values) */
+var VARIANT = "";
+/** Values set with the parameter sliders, which override the values of the description's equations
+ * @type {Object<string, number>}
+ */
+var PARAMETERS = {};
+/** The values of the description's equations when their parameter sliders were last changed
+ * (used to discard a slider's value when the equation is changed in the editor)
+ * @type {Object<string, string|number>}
+ */
+var PARAMETERSOURCES = {};
+/** Matches equations which are a numeric literal */
+const NUMERICREG = /^\s*-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\s*$/;
 
 
-function resize(e){
-    let delta = e.deltaY > 0 ? 100 : -100;
-    let mod = 1;
+/**
+ * Zooms the preview in or out around the cursor
+ * @param {WheelEvent} e
+ */
+function zoom(e){
+    let factor = 1.25;
     if(e.ctrlKey && e.shiftKey && e.altKey){
-        mod = .01;
+        factor = 1.01;
     }else if(e.ctrlKey && e.shiftKey){
-        mod = .1;
+        factor = 1.05;
     }else if(e.ctrlKey){
-        mod = .5;
+        factor = 1.1;
     }
-    WIDTH -= delta*mod;
-    WIDTH = Math.floor(Math.max(Math.min(WIDTH, MAX), MIN));
+    if(e.deltaY > 0) factor = 1/factor;
+    let width = Math.max(Math.min(WIDTH*factor, MAX), MIN);
+    // Keep the point under the cursor in place
+    let {x, y} = areaPoint(e);
+    OFFSET.x = x - (x - OFFSET.x)*width/WIDTH;
+    OFFSET.y = y - (y - OFFSET.y)*width/WIDTH;
+    WIDTH = width;
     updateSize();
+    updateCursor(e);
     e.preventDefault();
     e.stopPropagation();
     return false;
 }
 
+/**
+ * Fits the SVG inside the preview area (leaving room for the rulers) and centers it
+ */
+function fit(){
+    let area = document.getElementById("svg");
+    let margin = OPTIONS.rulers ? RULERSIZE : 0;
+    let width = area.clientWidth - margin;
+    let height = area.clientHeight - margin;
+    // The preview area has no size while the webview is hidden
+    if(width <= 0 || height <= 0){
+        updateSize();
+        return;
+    }
+    WIDTH = Math.max(Math.min(Math.min(width, height/RATIO) * .9, MAX), MIN);
+    OFFSET.x = margin + (width - WIDTH)/2;
+    OFFSET.y = margin + (height - WIDTH*RATIO)/2;
+    FITTED = true;
+    updateSize();
+}
+
+/**
+ * Returns the position of a mouse event relative to the preview area
+ * @param {MouseEvent} e
+ * @returns {{x: number, y: number}}
+ */
+function areaPoint(e){
+    let area = document.getElementById("svg");
+    let rect = area.getBoundingClientRect();
+    // The SVG is positioned inside the border
+    return {x: e.clientX - rect.left - area.clientLeft, y: e.clientY - rect.top - area.clientTop};
+}
+
+/**
+ * Returns the viewBox of the rendered SVG
+ * @returns {number[]|null} - The x, y, width and height of the viewBox, or null if it does not have a valid viewBox
+ */
+function getViewBox(){
+    let viewBox = document.querySelector("#svg>svg")?.getAttribute("viewBox")?.trim().split(/[\s,]+/).map(Number);
+    if(!viewBox || viewBox.length != 4 || viewBox.some(isNaN) || viewBox[2] <= 0) return null;
+    return viewBox;
+}
+
+/**
+ * Converts a point in the preview area to viewBox coordinates
+ * @param {{x: number, y: number}} point - The point in pixels
+ * @returns {{x: number, y: number}|null} - The point in viewBox units, or null if the SVG does not have a viewBox
+ */
+function toViewBox(point){
+    let viewBox = getViewBox();
+    if(!viewBox) return null;
+    let scale = WIDTH / viewBox[2];
+    return {x: viewBox[0] + (point.x - OFFSET.x)/scale, y: viewBox[1] + (point.y - OFFSET.y)/scale};
+}
+
+/**
+ * Formats a coordinate with a number of decimals
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatCoordinate(value, decimals){
+    // Avoids "-0"
+    return (Math.abs(value) < Math.pow(10, -decimals)/2 ? 0 : value).toFixed(decimals);
+}
+
+/**
+ * Shows the position of the cursor in viewBox coordinates
+ * @param {MouseEvent} [e] - The mouse event (if not provided, the position is cleared)
+ */
+function updateCursor(e){
+    let cursor = document.getElementById("cursor");
+    let point = e && toViewBox(areaPoint(e));
+    if(!point){
+        cursor.textContent = "";
+        return;
+    }
+    // Enough decimals to distinguish pixels
+    let decimals = Math.min(Math.max(Math.ceil(Math.log10(WIDTH / getViewBox()[2])), 0), 6);
+    cursor.textContent = `x: ${formatCoordinate(point.x, decimals)}, y: ${formatCoordinate(point.y, decimals)}`;
+}
+
+/**
+ * Applies the displayed size and position to the rendered SVG and redraws the grid and rulers
+ */
 function updateSize(){
     let svgele = document.querySelector("#svg>svg");
     svgele.style.width = WIDTH + "px";
-    svgele.style.height =  + "px";
+    svgele.style.height = WIDTH*RATIO + "px";
+    svgele.style.transform = `translate(${OFFSET.x}px, ${OFFSET.y}px)`;
     let size = document.querySelector("#size");
-    size.textContent = `${WIDTH}px x ${parseInt(WIDTH * RATIO)}px`;
+    size.textContent = `${Math.round(WIDTH)}px x ${Math.round(WIDTH * RATIO)}px`;
+    drawOverlay();
+}
+
+/**
+ * Returns the distance between grid lines in viewBox units: the smallest of 1, 2 or 5 times
+ * a power of 10 whose lines are at least GRIDSPACING pixels apart
+ * @param {number} scale - The number of pixels per viewBox unit
+ * @returns {number}
+ */
+function gridStep(scale){
+    let minimum = GRIDSPACING / scale;
+    let power = Math.pow(10, Math.floor(Math.log10(minimum)));
+    return [1, 2, 5, 10].map(multiple=>multiple*power).find(step=>step >= minimum);
+}
+
+/**
+ * Draws the grid and rulers (if enabled) over the preview area, aligned to the SVG's viewBox
+ */
+function drawOverlay(){
+    let overlay = document.getElementById("overlay");
+    overlay.replaceChildren();
+    let area = document.getElementById("svg");
+    let width = area.clientWidth;
+    let height = area.clientHeight;
+    overlay.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    let viewBox = getViewBox();
+
+    let scale = viewBox ? WIDTH / viewBox[2] : 1;
+    let step = gridStep(scale);
+    let decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    /**
+     * Creates an element in the overlay
+     * @param {string} type
+     * @param {Object<string, string|number>} attributes
+     * @param {Element} [parent]
+     */
+    let add = (type, attributes, parent = overlay)=>{
+        let element = document.createElementNS(SVGNS, type);
+        for(let [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+        parent.appendChild(element);
+        return element;
+    };
+    /**
+     * Lists the lines along an axis which are inside the preview area
+     * @param {number} origin - The viewBox coordinate of the axis' origin
+     * @param {number} offset - The offset of the SVG along the axis
+     * @param {number} length - The length of the preview area along the axis
+     * @returns {Array<{position: number, value: number, major: boolean}>}
+     */
+    let lines = (origin, offset, length)=>{
+        let result = [];
+        let first = Math.ceil((origin - offset/scale) / step);
+        let last = Math.floor((origin + (length - offset)/scale) / step);
+        for(let i = first; i <= last; i++){
+            // Lines are drawn in the middle of a pixel so that they are sharp
+            result.push({position: Math.round(offset + (i*step - origin)*scale) + .5, value: i*step, major: i % MAJORLINES == 0});
+        }
+        return result;
+    };
+    let columns = viewBox ? lines(viewBox[0], OFFSET.x, width) : [];
+    let rows = viewBox ? lines(viewBox[1], OFFSET.y, height) : [];
+
+    if(OPTIONS.grid){
+        for(let {position, major} of columns) add("line", {x1: position, y1: 0, x2: position, y2: height, class: major ? "major" : "minor"});
+        for(let {position, major} of rows) add("line", {x1: 0, y1: position, x2: width, y2: position, class: major ? "major" : "minor"});
+    }
+    if(HIGHLIGHT){
+        let rect = area.getBoundingClientRect();
+        for(let element of findSources(HIGHLIGHT)){
+            let box = element.getBoundingClientRect();
+            // Elements which are not displayed (e.g.- inside defs) have an empty box
+            if(!box.width && !box.height) continue;
+            add("rect", {
+                x: box.left - rect.left - area.clientLeft, y: box.top - rect.top - area.clientTop,
+                width: box.width, height: box.height, class: "highlight"
+            });
+        }
+    }
+    if(OPTIONS.rulers && viewBox){
+        let rulers = add("g", {class: "ruler"});
+        add("rect", {x: 0, y: 0, width, height: RULERSIZE}, rulers);
+        add("rect", {x: 0, y: 0, width: RULERSIZE, height}, rulers);
+        for(let {position, value, major} of columns){
+            if(position < RULERSIZE) continue;
+            add("line", {x1: position, y1: major ? 0 : RULERSIZE*.6, x2: position, y2: RULERSIZE}, rulers);
+            if(major) add("text", {x: position + 2, y: RULERSIZE*.5}, rulers).textContent = formatCoordinate(value, decimals);
+        }
+        for(let {position, value, major} of rows){
+            if(position < RULERSIZE) continue;
+            add("line", {x1: major ? 0 : RULERSIZE*.6, y1: position, x2: RULERSIZE, y2: position}, rulers);
+            if(major) add("text", {x: RULERSIZE*.5, y: position - 2, transform: `rotate(-90 ${RULERSIZE*.5} ${position - 2})`}, rulers).textContent = formatCoordinate(value, decimals);
+        }
+        add("rect", {x: 0, y: 0, width: RULERSIZE, height: RULERSIZE, class: "corner"}, rulers);
+    }
+}
+
+/**
+ * Returns the source locations recorded on an element by parseJSON (see ParametricSVG.SOURCEATTRIBUTE)
+ * @param {Element} element
+ * @returns {Array<Array<string|number>>} - The locations of the instances which added the element and of its component
+ */
+function getSources(element){
+    try{
+        return JSON.parse(element.getAttribute(ParametricSVG.SOURCEATTRIBUTE)) ?? [];
+    }catch(e){
+        return [];
+    }
+}
+
+/**
+ * Returns the rendered elements which were created by a component or its children
+ * (including the children of the definitions added by an instance)
+ * @param {Array<string|number>} path - The location of the component
+ * @returns {Element[]}
+ */
+function findSources(path){
+    let elements = document.querySelectorAll(`#svg>svg:first-child [${ParametricSVG.SOURCEATTRIBUTE}]`);
+    return [...elements].filter(element=>getSources(element).some(source=>
+        source.length >= path.length && path.every((key, i)=>source[i] === key)
+    ));
+}
+
+/**
+ * Renders the current description (and variant) again for saving and exporting, without the size, position
+ * and source locations used by the preview and with its styles exactly as written (see applyStyles)
+ * @returns {SVGSVGElement}
+ */
+function cleanSVG(){
+    let overrides = ParametricSVG.getVariant(DESCRIPTION, VARIANT, PARAMETERS);
+    return ParametricSVG.parseJSON(DESCRIPTION, undefined, overrides);
+}
+
+/**
+ * Applies the styles of the rendered SVG, which the webview's Content-Security-Policy blocks: style attributes
+ * are set again through the CSSOM, and the rules of <style> elements are copied into the page's stylesheet
+ * (which is allowed by its nonce), scoped to the rendered SVG (see scopeRules).
+ */
+function applyStyles(){
+    let svg = document.querySelector("#svg>svg");
+    for(let element of svg.querySelectorAll("[style]")){
+        element.style.cssText = element.getAttribute("style");
+    }
+    let rules = [];
+    for(let style of svg.querySelectorAll("style")){
+        let type = style.getAttribute("type");
+        if(type && type != "text/css") continue;
+        let sheet = new CSSStyleSheet();
+        sheet.replaceSync(style.textContent);
+        let css = scopeRules(sheet.cssRules).join("\n");
+        let media = style.getAttribute("media");
+        rules.push(media ? `@media ${media} {\n${css}\n}` : css);
+    }
+    document.getElementById("documentstyles").textContent = rules.join("\n");
+}
+
+/**
+ * Serializes parsed CSS rules with each style rule wrapped in its own @scope, so the rules only apply to
+ * the rendered SVG. Conditional rules (e.g.- @media) keep their condition and scope the rules inside them;
+ * other at-rules (e.g.- @keyframes and @font-face) are left at the top level, where they take effect.
+ * @param {CSSRuleList} rules - The rules to scope
+ * @returns {string[]} - The CSS of each rule
+ */
+function scopeRules(rules){
+    return [...rules].map(rule=>{
+        if(rule instanceof CSSStyleRule) return `@scope (#svg > svg:first-child) {\n${rule.cssText}\n}`;
+        if(rule instanceof CSSGroupingRule){
+            let prelude = rule.cssText.slice(0, rule.cssText.indexOf("{"));
+            return `${prelude}{\n${scopeRules(rule.cssRules).join("\n")}\n}`;
+        }
+        return rule.cssText;
+    });
+}
+
+/**
+ * Pans the preview by dragging the SVG
+ * @param {PointerEvent} e - The pointerdown event
+ */
+function pan(e){
+    // Left or middle button
+    if(e.button != 0 && e.button != 1) return;
+    let area = document.getElementById("svg");
+    let start = {x: e.clientX, y: e.clientY};
+    let last = start;
+    DRAGGED = false;
+    area.setPointerCapture(e.pointerId);
+    area.classList.add("panning");
+    let move = (e)=>{
+        if(Math.hypot(e.clientX - start.x, e.clientY - start.y) > DRAGDISTANCE) DRAGGED = true;
+        OFFSET.x += e.clientX - last.x;
+        OFFSET.y += e.clientY - last.y;
+        last = {x: e.clientX, y: e.clientY};
+        updateSize();
+    };
+    let end = ()=>{
+        area.removeEventListener("pointermove", move);
+        area.removeEventListener("pointerup", end);
+        area.removeEventListener("pointercancel", end);
+        area.classList.remove("panning");
+    };
+    area.addEventListener("pointermove", move);
+    area.addEventListener("pointerup", end);
+    area.addEventListener("pointercancel", end);
+    e.preventDefault();
 }
 
 {
@@ -47,56 +376,276 @@ function updateSize(){
 
     function messageHandler(event){
         let message = event.data;
+        if(message?.action === "rasterize") return rasterize(message);
+        if(message?.action === "highlight"){
+            HIGHLIGHT = message.path ?? null;
+            return drawOverlay();
+        }
         if(message?.action !== "update") return;
-        document.getElementById("save").setAttribute("disabled", true);
         let svg = message.svg;
-        let stringified = JSON.stringify(svg);
-        if(stringified.indexOf("script") > -1){
-            console.error("PSVG Extension does not support the use of the string 'script' in JSON docs");
+        // The preview switched to another document
+        if(message.reset){
+            VARIANT = "";
+            PARAMETERS = {};
+            PARAMETERSOURCES = {};
+            HIGHLIGHT = null;
+            FITTED = false;
+        }
+        DESCRIPTION = svg;
+        updateVariants();
+        updateParameters();
+        render();
+    }
+
+    /**
+     * Rebuilds the parameter panel with a slider and number input for each numeric equation
+     * of the current description. Equations can define min, max and step to configure the slider.
+     */
+    function updateParameters(){
+        let list = document.getElementById("parameterlist");
+        list.replaceChildren();
+        let variant = DESCRIPTION.variants?.[VARIANT] ?? {};
+        let equations = Object.entries(DESCRIPTION.equations ?? {}).filter(([name, equation])=>!equation.disabled && NUMERICREG.test(equation.value));
+
+        // Discard slider values for equations which were removed or changed in the editor
+        for(let name of Object.keys(PARAMETERS)){
+            if(DESCRIPTION.equations?.[name]?.value === PARAMETERSOURCES[name]) continue;
+            delete PARAMETERS[name];
+            delete PARAMETERSOURCES[name];
         }
 
+        for(let [name, equation] of equations){
+            let value = Number(NUMERICREG.test(variant[name]) ? variant[name] : equation.value);
+            value = PARAMETERS[name] ?? value;
+            let min = equation.min ?? Math.min(0, value * 2);
+            let max = equation.max ?? Math.max(value * 2, 1);
+            let step = equation.step ?? (Number.isInteger(value) ? 1 : "any");
+
+            let row = document.createElement("div");
+            row.className = "parameter";
+            row.title = equation.comment ?? "";
+            let label = document.createElement("label");
+            label.textContent = name;
+            let slider = document.createElement("input");
+            let number = document.createElement("input");
+            let writeback = document.createElement("button");
+            for(let [input, type] of [[slider, "range"], [number, "number"]]){
+                input.type = type;
+                input.min = min;
+                input.max = max;
+                input.step = step;
+                input.value = value;
+                input.addEventListener("input", ()=>{
+                    let other = input == slider ? number : slider;
+                    other.value = input.value;
+                    setParameter(name, Number(input.value));
+                    writeback.disabled = false;
+                });
+            }
+            // Number inputs are allowed to exceed the slider's range
+            number.removeAttribute("min");
+            number.removeAttribute("max");
+            writeback.textContent = "Write Back";
+            writeback.title = VARIANT ? `Set the value of ${name} in variant "${VARIANT}" to the current value` : `Set the value of ${name} in the document to the current value`;
+            writeback.disabled = PARAMETERS[name] === undefined;
+            writeback.addEventListener("click", ()=>{
+                vscode.postMessage({action: "writeback", name, value: Number(number.value), variant: VARIANT});
+                writeback.disabled = true;
+            });
+            row.append(label, slider, number, writeback);
+            list.appendChild(row);
+        }
+        document.getElementById("parameters").hidden = !equations.length;
+    }
+
+    /**
+     * Sets the value of a parameter and re-renders the preview
+     * @param {string} name - The name of the equation
+     * @param {number} value - The value to use for the equation
+     */
+    function setParameter(name, value){
+        if(isNaN(value)) return;
+        PARAMETERS[name] = value;
+        PARAMETERSOURCES[name] = DESCRIPTION.equations[name].value;
+        render();
+    }
+
+    /**
+     * Updates the variant selector to list the variants of the current description
+     */
+    function updateVariants(){
+        let variants = Object.keys(DESCRIPTION?.variants ?? {});
+        if(!variants.includes(VARIANT)) VARIANT = "";
+        let select = document.getElementById("variant");
+        select.replaceChildren();
+        for(let variant of ["", ...variants]){
+            let option = document.createElement("option");
+            option.value = variant;
+            option.textContent = variant || "(default)";
+            option.selected = variant == VARIANT;
+            select.appendChild(option);
+        }
+        document.getElementById("variantp").hidden = !variants.length;
+    }
+
+    function selectVariant(e){
+        VARIANT = e.target.value;
+        PARAMETERS = {};
+        PARAMETERSOURCES = {};
+        updateParameters();
+        render();
+    }
+
+    /**
+     * Renders the current description (and variant) in the preview
+     */
+    function render(){
+        if(!DESCRIPTION) return;
+        document.getElementById("save").setAttribute("disabled", true);
+        document.getElementById("exportraster").setAttribute("disabled", true);
+        let errors;
         try{
-            ParametricSVG.updateSVG(svg, document.querySelector("#svg>svg"));
+            let overrides = ParametricSVG.getVariant(DESCRIPTION, VARIANT, PARAMETERS);
+            ParametricSVG.updateSVG(DESCRIPTION, document.querySelector("#svg>svg"), undefined, overrides, true);
+            errors = ParametricSVG.checkEquations(DESCRIPTION, overrides);
         }catch(e){
-            let message = ""+e;
-            if(message == last_error) return;
-            if(notificationtimeout && (Date.now() - notificationtimeout) < 50000) return;
-            notificationtimeout = Date.now();
-            last_error = message;
             console.error(e);
+            // Errors are displayed as diagnostics by the extension, which replaces them after every render.
             // Error value seems to disappear while being posted to message, so have to coerce it here
-            vscode.postMessage({action:"error", message});
+            vscode.postMessage({action:"error", message: e.message ?? ""+e, path: e.path, offset: e.offset});
             return;
         }
+        // Equations which fail to evaluate do not stop the render, but are still reported
+        vscode.postMessage({action:"rendered", errors: errors.map(e=>({message: e.message, path: e.path, offset: e.offset}))});
+        applyStyles();
 
-        last_error = "";
-        notificationtimeout = 0;
-
-        let svgele = document.querySelector("#svg>svg");
-        let vbox = svgele.getAttribute("viewBox");
-        if(vbox){
-            let [x, y, width, height] = vbox.split(" ");
-            RATIO = height/width;
-            updateSize();
-        }
+        let viewBox = getViewBox();
+        if(viewBox) RATIO = viewBox[3]/viewBox[2];
+        // The view is kept while editing; it is only fitted the first time
+        if(FITTED) updateSize();
+        else fit();
         document.getElementById("save").removeAttribute("disabled");
+        document.getElementById("exportraster").removeAttribute("disabled");
     }
 
     function save(){
-        let svg = document.body.querySelector("#svg>svg");
-        svg.style.width = null;
+        let svg = cleanSVG();
         let message =  ParametricSVG.formatDeclaration() + svg.outerHTML;
         vscode.postMessage({action:"save", message});
         document.getElementById("save").setAttribute("disabled", true);
-        updateSize();
+    }
+
+    /**
+     * Shows or hides the grid or rulers
+     * @param {"grid"|"rulers"} option
+     * @param {boolean} enabled
+     */
+    function setOption(option, enabled){
+        OPTIONS[option] = enabled;
+        vscode.setState({...vscode.getState(), options: OPTIONS});
+        drawOverlay();
+    }
+
+    /**
+     * Draws the rendered SVG onto a square canvas
+     * @param {string} markup - The SVG markup, with its width and height set to the size of the image
+     * @param {number} size - The width and height of the canvas in pixels
+     * @param {number} width - The width of the image
+     * @param {number} height - The height of the image
+     * @param {string} background - The background color (transparent if empty)
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    function drawImage(markup, size, width, height, background){
+        return new Promise((resolve, reject)=>{
+            let image = new Image();
+            image.onload = ()=>{
+                let canvas = document.createElement("canvas");
+                canvas.width = size;
+                canvas.height = size;
+                let context = canvas.getContext("2d");
+                if(background){
+                    context.fillStyle = background;
+                    context.fillRect(0, 0, size, size);
+                }
+                context.drawImage(image, (size-width)/2, (size-height)/2, width, height);
+                resolve(canvas);
+            };
+            image.onerror = ()=>reject(new Error(`Failed to load the SVG at ${size}px`));
+            image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(markup);
+        });
+    }
+
+    /**
+     * Rasterizes the rendered SVG at each size and posts the images to the extension
+     * @param {Object} options
+     * @param {number[]} options.sizes - The width and height of each image in pixels
+     * @param {"png"|"webp"} options.format - The format of the images
+     * @param {number} options.padding - The padding on each side of the images, as a percentage of their size
+     * @param {string} options.background - The background color of the images (transparent if empty)
+     */
+    async function rasterize({sizes, format, padding, background}){
+        let images = [];
+        try{
+            if(!DESCRIPTION) throw new Error("The document has not been loaded");
+            let svgele = cleanSVG();
+            let [x, y, vbwidth, vbheight] = (svgele.getAttribute("viewBox") ?? "0 0 1 1").split(/[\s,]+/).map(Number);
+            for(let size of sizes){
+                // Fit the SVG inside the padding, preserving its aspect ratio
+                let inner = size * (1 - 2*padding/100);
+                let scale = inner / Math.max(vbwidth, vbheight);
+                let width = vbwidth * scale;
+                let height = vbheight * scale;
+                let clone = svgele.cloneNode(true);
+                clone.setAttribute("width", width);
+                clone.setAttribute("height", height);
+                let canvas = await drawImage(clone.outerHTML, size, width, height, background);
+                let data = canvas.toDataURL(`image/${format}`);
+                if(!data.startsWith(`data:image/${format}`)) throw new Error(`The preview cannot create ${format.toUpperCase()} images`);
+                images.push({size, data: data.slice(data.indexOf(",")+1)});
+            }
+        }catch(e){
+            vscode.postMessage({action: "raster", message: e.message ?? ""+e});
+            return;
+        }
+        vscode.postMessage({action: "raster", images, variant: VARIANT});
+    }
+
+    /**
+     * Asks the extension to reveal the component which created the clicked element
+     * @param {MouseEvent} e
+     */
+    function reveal(e){
+        if(DRAGGED) return;
+        // The preview area captures the pointer while it is pressed, so the click's target is the area
+        let element = document.elementFromPoint(e.clientX, e.clientY)?.closest(`[${ParametricSVG.SOURCEATTRIBUTE}]`);
+        if(!element || !document.getElementById("svg").contains(element)) return;
+        vscode.postMessage({action: "reveal", sources: getSources(element)});
     }
 
     (()=>{
-        document.getElementById("svg").addEventListener("wheel", resize);
+        let area = document.getElementById("svg");
+        area.addEventListener("click", reveal);
+        area.addEventListener("wheel", zoom);
+        area.addEventListener("pointerdown", pan);
+        area.addEventListener("pointermove", updateCursor);
+        area.addEventListener("pointerleave", ()=>updateCursor());
+        area.addEventListener("dblclick", fit);
+        window.addEventListener("resize", drawOverlay);
+        document.getElementById("fit").addEventListener("click", fit);
+        for(let option of ["grid", "rulers"]){
+            document.getElementById(option).addEventListener("change", e=>setOption(option, e.target.checked));
+        }
         document.getElementById("save").addEventListener("click", save);
+        document.getElementById("exportraster").addEventListener("click", ()=>vscode.postMessage({action: "exportraster"}));
+        document.getElementById("variant").addEventListener("change", selectVariant);
         ParametricSVG.evaluator = evaluateEquation;
+        ParametricSVG.compiler = compileEquations;
         window.addEventListener('message', messageHandler);
         vscode = acquireVsCodeApi();
+        OPTIONS = {...OPTIONS, ...vscode.getState()?.options};
+        for(let option of ["grid", "rulers"]){
+            document.getElementById(option).checked = OPTIONS[option];
+        }
         vscode.postMessage({
             action: "update"
         });
@@ -0,0 +1,333 @@
+"use strict";
+/**
+ * Converts SVG markup into a JsonDescription: the inverse of ParametricSVG.parseJSON
+ *
+ * Elements supported by parseJSON become components: attributes which parseJSON reads from the
+ * component itself (e.g.- a circle's cx, cy and r) become component keys and the remaining attributes
+ * are kept in the component's attributes. Paths are split into PathSegments and points into [x, y] pairs.
+ * Elements which cannot be represented by a component (e.g.- unsupported types or text content) are
+ * kept as raw components with their original markup. Namespaced attributes other than xlink:href (e.g.- the
+ * metadata added by editors) are not supported by parseJSON and are removed.
+ *
+ * The imported description can always be rendered: attributes which the sanitizer rejects (e.g.- the href of an
+ * <image> which loads an external file) and empty attributes of components (which parseJSON skips) are removed,
+ * and elements which would be rejected as raw components (e.g.- <script>) are removed entirely.
+ */
+
+import { parseXML } from "./xml.js";
+import { SanitizerError, checkAttribute, checkStyle, sanitizeMarkup } from "./sanitizer.js";
+
+/**
+ * @typedef {import("./xml.js").XMLElement} XMLElement
+ *
+ * @typedef {Object} ImportResult
+ * @property {JsonDescription} description - The imported description
+ * @property {string[]} warnings - Descriptions of the elements and attributes which could not be converted to components
+ */
+
+/** Attributes which are read from the component (instead of its attributes) by parseJSON, by type of component */
+const COMPONENTKEYS = {
+    circle: ["cx", "cy", "r"],
+    ellipse: ["cx", "cy", "rx", "ry"],
+    line: ["x1", "y1", "x2", "y2"],
+    rect: ["x", "y", "width", "height", "rx", "ry"],
+    polygon: ["points"],
+    polyline: ["points"],
+    path: ["d"],
+    a: ["href", "target", "hreflang", "ping", "referrerpolicy", "rel", "type"],
+    clipPath: ["clipPathUnits"],
+    foreignObject: ["x", "y", "width", "height"],
+    image: ["x", "y", "width", "height", "href", "preserveAspectRatio", "crossOrigin", "decoding"],
+    linearGradient: ["x1", "y1", "x2", "y2", "gradientUnits", "gradientTransform", "spreadMethod", "href"],
+    marker: ["refX", "refY", "markerUnits", "markerWidth", "markerHeight", "orient", "preserveAspectRatio", "viewBox"],
+    mask: ["maskContentUnits", "maskUnits", "x", "y", "width", "height"],
+    pattern: ["href", "patternUnits", "patternContentUnits", "patternTransform", "preserveAspectRatio", "viewBox", "x", "y", "width", "height"],
+    radialGradient: ["cx", "cy", "r", "fr", "fx", "fy", "gradientUnits", "gradientTransform", "spreadMethod", "href"],
+    stop: ["offset", "stop-color", "stop-opacity"],
+    style: ["type", "media", "title"],
+    symbol: ["viewBox", "preserveAspectRatio", "refX", "refY", "x", "y", "width", "height"],
+    text: ["x", "y", "dx", "dy", "rotate", "textLength", "lengthAdjust"],
+    textPath: ["href", "lengthAdjust", "path", "startOffset", "method", "spacing", "side", "textLength"],
+    tspan: ["x", "y", "dx", "dy", "rotate", "textLength", "lengthAdjust"],
+    use: ["x", "y", "width", "height", "href"],
+    view: ["viewBox", "preserveAspectRatio"],
+    defs: [],
+    g: [],
+    switch: [],
+    title: [],
+};
+
+/** Component keys which are named differently from their attributes */
+const RENAMEDKEYS = {
+    "a.type": ["a", "type"],
+    "style.type": ["style", "type"],
+    stopColor: ["stop", "stop-color"],
+    stopOpacity: ["stop", "stop-opacity"],
+};
+
+/** Values accepted by parseJSON for attributes which it validates */
+const VALIDVALUES = {
+    referrerpolicy: ["no-referrer", "no-referrer-when-downgrade", "origin", "origin-when-cross-origin", "same-origin", "strict-origin", "strict-origin-when-cross-origin", "unsafe-url"],
+    clipPathUnits: ["userSpaceOnUse", "objectBoundingBox"],
+    gradientUnits: ["userSpaceOnUse", "objectBoundingBox"],
+    markerUnits: ["userSpaceOnUse", "objectBoundingBox"],
+    maskContentUnits: ["userSpaceOnUse", "objectBoundingBox"],
+    maskUnits: ["userSpaceOnUse", "objectBoundingBox"],
+    patternUnits: ["userSpaceOnUse", "objectBoundingBox"],
+    patternContentUnits: ["userSpaceOnUse", "objectBoundingBox"],
+    spreadMethod: ["pad", "reflect", "repeat"],
+    decoding: ["auto", "sync", "async"],
+    lengthAdjust: ["spacing", "spacingAndGlyphs"],
+    method: ["align", "stretch"],
+    spacing: ["auto", "exact"],
+    side: ["left", "right"],
+};
+
+/** The alignments accepted by preserveAspectRatio */
+const ALIGNMENTS = ["none", "xMinYMin", "xMidYMin", "xMaxYMin", "xMinYMid", "xMidYMid", "xMaxYMid", "xMinYMax", "xMidYMax", "xMaxYMax"];
+
+/** The PathSegment type of each path command and the names of its parameters */
+const PATHCOMMANDS = {
+    m: ["move", ["x", "y"]],
+    l: ["line", ["x", "y"]],
+    h: ["horizontal", ["x"]],
+    v: ["vertical", ["y"]],
+    z: ["close", []],
+    c: ["cubic", ["x1", "y1", "x2", "y2", "x", "y"]],
+    s: ["shortcubic", ["x2", "y2", "x", "y"]],
+    q: ["quadratic", ["x1", "y1", "x", "y"]],
+    t: ["shortquadratic", ["x", "y"]],
+    a: ["arc", ["rx", "ry", "xRotation", "largeArcFlag", "sweepFlag", "x", "y"]],
+};
+
+/** Matches numbers in path data and points */
+const NUMBERREG = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+/**
+ * Splits path data (the d attribute of a path) into PathSegments
+ * @param {string} d - The path data
+ * @returns {PathSegment[]} - The segments of the path
+ */
+export function parsePathData(d){
+    let segments = [];
+    let offset = 0;
+    let command = null;
+
+    function skipSeparators(){
+        while(offset < d.length && /[\s,]/.test(d[offset])) offset++;
+    }
+    function readNumber(){
+        NUMBERREG.lastIndex = offset;
+        let match = NUMBERREG.exec(d);
+        if(!match) throw new Error(`Expected a number at offset ${offset} of path data`);
+        offset += match[0].length;
+        return Number(match[0]);
+    }
+    function readFlag(){
+        let flag = d[offset];
+        if(flag != "0" && flag != "1") throw new Error(`Expected a flag (0 or 1) at offset ${offset} of path data`);
+        offset++;
+        return flag == "1";
+    }
+
+    skipSeparators();
+    while(offset < d.length){
+        if(/[a-zA-Z]/.test(d[offset])){
+            command = d[offset];
+            if(!(command.toLowerCase() in PATHCOMMANDS)) throw new Error(`Unknown path command "${command}"`);
+            offset++;
+        }else if(command === null || command.toLowerCase() == "z"){
+            throw new Error(`Expected a path command at offset ${offset} of path data`);
+        }
+        let [type, parameters] = PATHCOMMANDS[command.toLowerCase()];
+        let segment = {type};
+        for(let parameter of parameters){
+            skipSeparators();
+            segment[parameter] = parameter.endsWith("Flag") ? readFlag() : readNumber();
+        }
+        if(command == command.toLowerCase()) segment.relative = true;
+        segments.push(segment);
+        // Additional coordinates after a move are lines
+        if(type == "move") command = command == "m" ? "l" : "L";
+        skipSeparators();
+    }
+    return segments;
+}
+
+/**
+ * Splits the points of a polygon or polyline into [x, y] pairs
+ * @param {string} points - The points attribute
+ * @returns {Array<[number, number]>}
+ */
+export function parsePoints(points){
+    let numbers = points.trim().split(/[\s,]+/).filter(number=>number).map(Number);
+    if(numbers.some(isNaN) || numbers.length % 2) throw new Error(`Invalid points: ${points}`);
+    let pairs = [];
+    for(let i = 0; i < numbers.length; i += 2){
+        pairs.push([numbers[i], numbers[i+1]]);
+    }
+    return pairs;
+}
+
+/**
+ * Converts an SVG file to a JsonDescription
+ * @param {string} markup - The SVG markup
+ * @returns {ImportResult}
+ */
+export function importSVG(markup){
+    let root = parseXML(markup);
+    if(root.name != "svg") throw new Error(`The root element must be <svg>, not <${root.name}>`);
+    let warnings = [];
+
+    let attributes = {};
+    for(let {name, value} of root.attributes){
+        // The namespace is added by parseJSON
+        if(name == "xmlns" || name.startsWith("xmlns:")) continue;
+        if(name.includes(":")){
+            warnings.push(`Removed the namespaced attribute "${name}" of <svg>`);
+            continue;
+        }
+        if(!isAllowed("svg", name, value)) continue;
+        attributes[name] = value;
+    }
+    // parseJSON does not add a <desc> to the root element, so it is kept as a raw component
+    let description = {attributes, equations: {}, svgcomponents: importChildren(root, true)};
+    return {description, warnings};
+
+    /**
+     * Converts the child elements of an element to components
+     * @param {XMLElement} element - The parent element
+     * @param {boolean} [root] - Whether the parent is the root element
+     * @returns {SVGDescription[]}
+     */
+    function importChildren(element, root = false){
+        let components = [];
+        for(let child of element.children){
+            if(child.type != "element") continue;
+            // <desc> is added by parseJSON from the desc key of its parent
+            if(child.name == "desc" && !root) continue;
+            let component = importElement(child);
+            if(component) components.push(component);
+        }
+        return components;
+    }
+
+    /**
+     * Returns whether the sanitizer allows an attribute, recording why it was removed if it does not
+     * @param {string} type - The type of the element
+     * @param {string} name - The name of the attribute
+     * @param {string} value - The value of the attribute
+     * @returns {boolean}
+     */
+    function isAllowed(type, name, value){
+        try{
+            checkAttribute(type, name, value);
+            return true;
+        }catch(e){
+            if(!(e instanceof SanitizerError)) throw e;
+            warnings.push(`Removed the attribute "${name}" of <${type}>: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Converts an element to a component, or a raw component if it cannot be represented
+     * by a component
+     * @param {XMLElement} element - The element to convert
+     * @returns {SVGDescription|null} - The component, or null if the element was removed
+     */
+    function importElement(element){
+        let type = element.name;
+        /**
+         * Records why the element could not be converted and returns it as a raw component
+         * @param {string} reason
+         */
+        let raw = (reason)=>{
+            let content = markup.slice(element.start, element.end);
+            try{
+                sanitizeMarkup(content);
+            }catch(e){
+                warnings.push(`Removed <${type}>: ${e.message}`);
+                return null;
+            }
+            warnings.push(`<${type}> was imported as a raw component: ${reason}`);
+            return {type: "raw", content};
+        };
+        let keys = COMPONENTKEYS[type];
+        if(!keys) return raw("the element is not supported");
+        let text = element.children.filter(child=>child.type == "text" && child.value.trim());
+        if(type != "style" && text.length) return raw("the element contains text");
+        let descs = element.children.filter(child=>child.type == "element" && child.name == "desc");
+        if(descs.length > 1 || descs.some(desc=>desc.children.some(child=>child.type == "element"))){
+            return raw("the element's <desc> cannot be converted");
+        }
+
+        let component = {type};
+        let componentattributes = {};
+        try{
+            for(let {name, value} of element.attributes){
+                if(name == "xlink:href" && keys.includes("href")) name = "href";
+                if(name.includes(":")){
+                    warnings.push(`Removed the namespaced attribute "${name}" of <${type}>`);
+                    continue;
+                }
+                if(value === ""){
+                    warnings.push(`Removed the empty attribute "${name}" of <${type}>`);
+                    continue;
+                }
+                if(!isAllowed(type, name, value)) continue;
+                if(name == "id"){
+                    component.id = value;
+                }else if(keys.includes(name)){
+                    setComponentKey(component, type, name, value);
+                }else{
+                    componentattributes[name] = value;
+                }
+            }
+        }catch(e){
+            return raw(e.message);
+        }
+        if(Object.keys(componentattributes).length) component.attributes = componentattributes;
+        if(descs.length) component.desc = descs[0].children.map(child=>child.value).join("");
+        if(type == "style"){
+            component.children = text.map(child=>child.value).join("");
+            try{
+                checkStyle(component.children);
+            }catch(e){
+                warnings.push(`Removed <style>: ${e.message}`);
+                return null;
+            }
+        }else{
+            let children = importChildren(element);
+            if(children.length) component.children = children;
+        }
+        return component;
+    }
+
+    /**
+     * Sets the component key which parseJSON uses for an attribute
+     * @param {SVGDescription} component - The component
+     * @param {string} type - The type of the component
+     * @param {string} name - The name of the attribute
+     * @param {string} value - The value of the attribute
+     */
+    function setComponentKey(component, type, name, value){
+        let key = Object.keys(RENAMEDKEYS).find(key=>RENAMEDKEYS[key][0] == type && RENAMEDKEYS[key][1] == name) ?? name;
+        if(VALIDVALUES[name] && !VALIDVALUES[name].includes(value)){
+            throw new Error(`invalid ${name} ("${value}")`);
+        }
+        if(name == "d" || (type == "textPath" && name == "path")){
+            component[key] = parsePathData(value);
+        }else if(name == "points"){
+            component[key] = parsePoints(value);
+        }else if(name == "preserveAspectRatio"){
+            let [align, meetOrSlice, ...rest] = value.trim().split(/\s+/);
+            if(!ALIGNMENTS.includes(align) || (meetOrSlice !== undefined && !["meet", "slice"].includes(meetOrSlice)) || rest.length){
+                throw new Error(`invalid preserveAspectRatio ("${value}")`);
+            }
+            component[key] = meetOrSlice === undefined ? {align} : {align, meetOrSlice};
+        }else{
+            component[key] = value;
+        }
+    }
+}
@@ -0,0 +1,302 @@
+"use strict";
+/**
+ * A small, non-validating XML parser which does not require a DOM (e.g.- for the extension host and Node)
+ *
+ * The parser checks that markup is well-formed and records the offsets of every node so that errors
+ * and nodes can be located in the original markup.
+ *
+ * Restrictions:
+ *  - Namespaces are not resolved: names are kept as written (e.g.- "xlink:href")
+ *  - Only the predefined entities, character references and entities declared in the
+ *    internal subset of the DOCTYPE (as <!ENTITY name "value">) are supported
+ *  - Processing instructions and the DOCTYPE are skipped
+ */
+
+/**
+ * @typedef {Object} XMLAttribute
+ * @property {string} name - The name of the attribute
+ * @property {string} value - The value of the attribute, with its entities replaced
+ * @property {number} start - The offset of the attribute's name
+ *
+ * @typedef {Object} XMLElement
+ * @property {"element"} type
+ * @property {string} name - The name of the element
+ * @property {XMLAttribute[]} attributes - The attributes of the element in the order they were written
+ * @property {XMLNode[]} children - The contents of the element
+ * @property {number} start - The offset of the element's start tag
+ * @property {number} end - The offset after the element's end tag
+ *
+ * @typedef {Object} XMLText
+ * @property {"text"} type
+ * @property {string} value - The text, with its entities replaced
+ * @property {boolean} cdata - Whether the text is a CDATA section
+ * @property {number} start - The offset of the text
+ * @property {number} end - The offset after the text
+ *
+ * @typedef {Object} XMLComment
+ * @property {"comment"} type
+ * @property {string} value - The text of the comment
+ * @property {number} start - The offset of the comment
+ * @property {number} end - The offset after the comment
+ *
+ * @typedef {XMLElement|XMLText|XMLComment} XMLNode
+ */
+
+/** Entities which are always defined */
+const PREDEFINEDENTITIES = {amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'"};
+/** Matches a name (a simplified form of the XML Name production) */
+const NAMEREG = /[A-Za-z_:\u00C0-\uFFFF][-A-Za-z0-9_:.\u00B7\u00C0-\uFFFF]*/y;
+/** Matches an entity or character reference */
+const REFERENCEREG = /&(?:#(\d+)|#x([0-9a-fA-F]+)|([A-Za-z_:][-A-Za-z0-9_:.]*));/y;
+/** Matches entity declarations in the internal subset of a DOCTYPE */
+const ENTITYDECLARATIONREG = /<!ENTITY\s+([A-Za-z_:][-A-Za-z0-9_:.]*)\s+(["'])([^]*?)\2\s*>/g;
+
+/**
+ * An Error raised while parsing markup which records where the error occurred
+ */
+export class XMLError extends Error{
+    /**
+     * @param {string} message - A description of the error
+     * @param {number} offset - The offset in the markup at which the error occurred
+     */
+    constructor(message, offset){
+        super(message);
+        this.name = "XMLError";
+        this.offset = offset;
+    }
+}
+
+/**
+ * Parses an XML document
+ * @param {string} markup - The document
+ * @returns {XMLElement} - The root element of the document
+ */
+export function parseXML(markup){
+    let parser = new Parser(markup);
+    let nodes = parser.parseNodes(null, true);
+    let elements = nodes.filter(node=>node.type == "element");
+    let text = nodes.find(node=>node.type == "text" && node.value.trim());
+    if(text) throw new XMLError("Text is not allowed outside of the root element", text.start);
+    if(!elements.length) throw new XMLError("The document does not have a root element", markup.length);
+    if(elements.length > 1) throw new XMLError("The document has more than one root element", elements[1].start);
+    return elements[0];
+}
+
+/**
+ * Parses a fragment of XML (any number of elements, text and comments, e.g.- the content of an element)
+ * @param {string} markup - The fragment
+ * @param {Object<string, string>} [entities] - Additional entities which can be used in the fragment
+ * @returns {XMLNode[]} - The nodes of the fragment
+ */
+export function parseXMLFragment(markup, entities){
+    let parser = new Parser(markup);
+    Object.assign(parser.entities, entities);
+    return parser.parseNodes(null, false);
+}
+
+/**
+ * Parses markup (see parseXML and parseXMLFragment)
+ */
+class Parser{
+    /**
+     * @param {string} markup - The markup to parse
+     */
+    constructor(markup){
+        this.markup = String(markup);
+        this.offset = 0;
+        /** @type {Object<string, string>} */
+        this.entities = {...PREDEFINEDENTITIES};
+    }
+
+    /**
+     * Raises an XMLError at the current offset
+     * @param {string} message
+     * @param {number} [offset]
+     */
+    error(message, offset = this.offset){
+        throw new XMLError(message, offset);
+    }
+
+    /**
+     * Parses nodes until the end of the markup or the end tag of the parent
+     * @param {string|null} parent - The name of the element whose contents are being parsed
+     * @param {boolean} document - Whether the markup is a document (so a DOCTYPE is allowed)
+     * @returns {XMLNode[]}
+     */
+    parseNodes(parent, document){
+        let nodes = [];
+        let markup = this.markup;
+        while(this.offset < markup.length){
+            let start = this.offset;
+            if(markup.startsWith("<!--", start)){
+                let end = this.find("-->", "comment");
+                nodes.push({type: "comment", value: markup.slice(start+4, end), start, end: end+3});
+                this.offset = end+3;
+            }else if(markup.startsWith("<![CDATA[", start)){
+                let end = this.find("]]>", "CDATA section");
+                nodes.push({type: "text", value: markup.slice(start+9, end), cdata: true, start, end: end+3});
+                this.offset = end+3;
+            }else if(markup.startsWith("<?", start)){
+                this.offset = this.find("?>", "processing instruction") + 2;
+            }else if(markup.startsWith("<!DOCTYPE", start)){
+                if(!document || parent !== null || nodes.some(node=>node.type == "element")) this.error("A DOCTYPE is only allowed before the root element");
+                this.parseDoctype();
+            }else if(markup.startsWith("</", start)){
+                if(parent === null) this.error("Unexpected end tag");
+                return nodes;
+            }else if(markup[start] == "<"){
+                nodes.push(this.parseElement());
+            }else{
+                let end = markup.indexOf("<", start);
+                if(end < 0) end = markup.length;
+                nodes.push({type: "text", value: this.decode(start, end), cdata: false, start, end});
+                this.offset = end;
+            }
+        }
+        if(parent !== null) this.error(`Missing the end tag of <${parent}>`);
+        return nodes;
+    }
+
+    /**
+     * Returns the offset of the next occurrence of text, raising an error if it is not found
+     * @param {string} text - The text to find
+     * @param {string} description - A description of what is being closed
+     * @returns {number}
+     */
+    find(text, description){
+        let index = this.markup.indexOf(text, this.offset);
+        if(index < 0) this.error(`Unclosed ${description} (expected "${text}")`);
+        return index;
+    }
+
+    /**
+     * Skips the DOCTYPE, recording the entities declared in its internal subset
+     */
+    parseDoctype(){
+        let markup = this.markup;
+        let subset = markup.indexOf("[", this.offset);
+        let close = markup.indexOf(">", this.offset);
+        if(close < 0) this.error("Unclosed DOCTYPE (expected \">\")");
+        if(subset >= 0 && subset < close){
+            let end = markup.indexOf("]", subset);
+            if(end < 0) this.error("Unclosed DOCTYPE internal subset (expected \"]\")");
+            for(let [, name, , value] of markup.slice(subset+1, end).matchAll(ENTITYDECLARATIONREG)){
+                if(!Object.hasOwn(this.entities, name)) this.entities[name] = value;
+            }
+            close = markup.indexOf(">", end);
+            if(close < 0) this.error("Unclosed DOCTYPE (expected \">\")");
+        }
+        this.offset = close+1;
+    }
+
+    /**
+     * Parses a name at the current offset
+     * @param {string} description - A description of the name for errors
+     * @returns {string}
+     */
+    parseName(description){
+        NAMEREG.lastIndex = this.offset;
+        let match = NAMEREG.exec(this.markup);
+        if(!match) this.error(`Expected ${description}`);
+        this.offset += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * Skips whitespace
+     * @returns {boolean} - Whether any whitespace was skipped
+     */
+    skipWhitespace(){
+        let start = this.offset;
+        while(/\s/.test(this.markup[this.offset] ?? "")) this.offset++;
+        return this.offset > start;
+    }
+
+    /**
+     * Parses the element at the current offset (including its contents and end tag)
+     * @returns {XMLElement}
+     */
+    parseElement(){
+        let markup = this.markup;
+        let start = this.offset;
+        this.offset++;
+        let name = this.parseName("an element name");
+        /** @type {XMLElement} */
+        let element = {type: "element", name, attributes: [], children: [], start, end: start};
+        while(true){
+            let whitespace = this.skipWhitespace();
+            if(markup.startsWith("/>", this.offset)){
+                this.offset += 2;
+                element.end = this.offset;
+                return element;
+            }
+            if(markup[this.offset] == ">"){
+                this.offset++;
+                break;
+            }
+            if(this.offset >= markup.length) this.error(`Unclosed start tag of <${name}>`);
+            if(!whitespace) this.error("Expected whitespace, \">\" or \"/>\"");
+            let attrstart = this.offset;
+            let attr = this.parseName("an attribute name, \">\" or \"/>\"");
+            if(element.attributes.some(attribute=>attribute.name == attr)) this.error(`Duplicate attribute "${attr}"`, attrstart);
+            this.skipWhitespace();
+            if(markup[this.offset] != "=") this.error(`Expected "=" after attribute "${attr}"`);
+            this.offset++;
+            this.skipWhitespace();
+            let quote = markup[this.offset];
+            if(quote != "\"" && quote != "'") this.error(`Expected a quoted value for attribute "${attr}"`);
+            let end = markup.indexOf(quote, this.offset+1);
+            if(end < 0) this.error(`Unclosed value of attribute "${attr}"`);
+            let less = markup.indexOf("<", this.offset+1);
+            if(less >= 0 && less < end) this.error(`"<" is not allowed in the value of attribute "${attr}"`, less);
+            // Attribute-value normalization: whitespace characters become spaces
+            let value = this.decode(this.offset+1, end).replace(/[\t\n\r]/g, " ");
+            element.attributes.push({name: attr, value, start: attrstart});
+            this.offset = end+1;
+        }
+        element.children = this.parseNodes(name, false);
+        let endstart = this.offset;
+        this.offset += 2;
+        let endname = this.parseName("an element name");
+        if(endname != name) this.error(`Expected the end tag of <${name}> but found </${endname}>`, endstart);
+        this.skipWhitespace();
+        if(markup[this.offset] != ">") this.error(`Expected ">"`);
+        this.offset++;
+        element.end = this.offset;
+        return element;
+    }
+
+    /**
+     * Returns the markup between two offsets with its entity and character references replaced
+     * @param {number} start
+     * @param {number} end
+     * @returns {string}
+     */
+    decode(start, end){
+        let markup = this.markup;
+        let out = "";
+        let offset = start;
+        while(offset < end){
+            let amp = markup.indexOf("&", offset);
+            if(amp < 0 || amp >= end){
+                out += markup.slice(offset, end);
+                break;
+            }
+            out += markup.slice(offset, amp);
+            REFERENCEREG.lastIndex = amp;
+            let match = REFERENCEREG.exec(markup);
+            if(!match || amp + match[0].length > end) this.error("Invalid entity or character reference (\"&\" must be written as \"&amp;\")", amp);
+            let [reference, decimal, hex, name] = match;
+            if(name !== undefined){
+                if(!Object.hasOwn(this.entities, name)) this.error(`Undefined entity "&${name};"`, amp);
+                out += this.entities[name];
+            }else{
+                let code = decimal !== undefined ? parseInt(decimal, 10) : parseInt(hex, 16);
+                if(code > 0x10FFFF || code == 0) this.error(`Invalid character reference "${reference}"`, amp);
+                out += String.fromCodePoint(code);
+            }
+            offset = amp + reference.length;
+        }
+        return out;
+    }
+}
@@ -0,0 +1,181 @@
+import * as vscode from 'vscode';
+import * as jsonc from 'jsonc-parser';
+
+/** A location in a JsonDescription as a list of keys and indices (see ParametricSVGError.path) */
+export type JSONPath = (string|number)[];
+
+/** Keys of components whose values are not passed to the evaluator by parseJSON */
+const NONEQUATIONKEYS = ["type", "id", "desc", "children", "content", "style.type", "a.type", "as", "countAs", "component"];
+/** Keys of path segments whose values are passed to the evaluator by parseJSON */
+const SEGMENTKEYS = ["x", "y", "x1", "y1", "x2", "y2", "rx", "ry"];
+
+/**
+ * Determines whether the value at the given path is passed to the evaluator by parseJSON
+ * @param path - The location of the value in the document
+ */
+export function isEquationPath(path: JSONPath): boolean{
+	let [root, ...rest] = path;
+	if(root === "equations") {return rest.length === 2 && rest[1] === "value";}
+	if(root === "variants") {return rest.length === 2;}
+	if(root === "attributes") {return rest.length === 1;}
+	if(root === "components"){
+		if(rest[1] === "parameters") {return rest.length === 4 && rest[3] === "value";}
+		if(rest[1] !== "children" || typeof rest[2] !== "number") {return false;}
+	}else if(root !== "svgcomponents" || typeof rest[0] !== "number") {return false;}
+	// Skip past the component (and its nested children) to the key within the component
+	rest = rest.slice(1);
+	while(rest[0] === "children" && typeof rest[1] === "number"){
+		rest = rest.slice(2);
+	}
+	let [key, ...sub] = rest;
+	if(typeof key !== "string") {return false;}
+	if(key === "attributes" || key === "arguments") {return sub.length === 1;}
+	if(key === "points") {return sub.length === 2;}
+	if(key === "d" || key === "path") {return sub.length === 2 && SEGMENTKEYS.includes(String(sub[1]));}
+	return sub.length === 0 && !NONEQUATIONKEYS.includes(key);
+}
+
+/** The variables which a repeat component defines for its children */
+export interface RepeatScope {
+	/** The location of the repeat component */
+	path: JSONPath;
+	/** The equation for the number of repetitions */
+	count: string;
+	/** The name of the index variable */
+	index: string;
+	/** The name of the count variable, if any */
+	countAs?: string;
+}
+
+/**
+ * Returns the repeat components which contain the value at the given path (outermost first)
+ * @param tree - The parsed document (see parseDocument)
+ * @param path - The location of the value
+ */
+export function findRepeatScopes(tree: jsonc.Node, path: JSONPath): RepeatScope[]{
+	let scopes: RepeatScope[] = [];
+	path.forEach((key, i)=>{
+		if(key !== "children" || typeof path[i+1] !== "number") {return;}
+		let component = jsonc.findNodeAtLocation(tree, path.slice(0, i));
+		let value = component?.type === "object" ? jsonc.getNodeValue(component) : undefined;
+		if(value?.type !== "repeat") {return;}
+		let countAs = typeof value.countAs === "string" ? value.countAs : undefined;
+		scopes.push({path: path.slice(0, i), count: String(value.count), index: typeof value.as === "string" ? value.as : "i", countAs});
+	});
+	return scopes;
+}
+
+/** A parameter of a component definition */
+export interface ComponentParameter {
+	name: string;
+	/** The name of the definition */
+	definition: string;
+	/** The default value of the parameter, if any */
+	value?: string;
+	comment?: string;
+}
+
+/**
+ * Returns the parameters available at the given path: inside the children of a component definition,
+ * all of its parameters; inside the default value of a parameter, the parameters before it
+ * @param tree - The parsed document (see parseDocument)
+ * @param path - The location of the value
+ */
+export function findParameters(tree: jsonc.Node, path: JSONPath): ComponentParameter[]{
+	let [root, definition, section, current] = path;
+	if(root !== "components" || typeof definition !== "string") {return [];}
+	let node = jsonc.findNodeAtLocation(tree, ["components", definition, "parameters"]);
+	let parameters = node?.type === "object" ? jsonc.getNodeValue(node) : {};
+	let names = Object.keys(parameters);
+	if(section === "parameters") {names = names.slice(0, Math.max(0, names.indexOf(String(current))));}
+	else if(section !== "children") {return [];}
+	return names.map(name=>{
+		let {value, comment} = parameters[name] ?? {};
+		return {name, definition, value: value === undefined ? undefined : String(value), comment: typeof comment === "string" ? comment : undefined};
+	});
+}
+
+/**
+ * Determines whether the value at the given path is a component: an entry of svgcomponents, of the children
+ * of a component definition or of the children of another component
+ * @param path - The location of the value in the document
+ */
+export function isComponentPath(path: JSONPath): boolean{
+	let rest: JSONPath;
+	if(path[0] === "svgcomponents") {rest = path.slice(1);}
+	else if(path[0] === "components" && typeof path[1] === "string" && path[2] === "children") {rest = path.slice(3);}
+	else {return false;}
+	if(typeof rest[0] !== "number") {return false;}
+	for(let i = 1; i < rest.length; i += 2){
+		if(rest[i] !== "children" || typeof rest[i+1] !== "number") {return false;}
+	}
+	return true;
+}
+
+/**
+ * Returns the location of the innermost component which contains an offset
+ * @param tree - The parsed document (see parseDocument)
+ * @param offset - The offset in the document
+ * @returns The location of the component, or undefined if the offset is not inside a component
+ */
+export function componentPathAt(tree: jsonc.Node, offset: number): JSONPath|undefined{
+	let node = jsonc.findNodeAtOffset(tree, offset, true);
+	if(!node) {return undefined;}
+	let path = jsonc.getNodePath(node);
+	for(let length = path.length; length > 0; length--){
+		if(isComponentPath(path.slice(0, length))) {return path.slice(0, length);}
+	}
+	return undefined;
+}
+
+/**
+ * Parses a .psvg.json document into a jsonc Node tree
+ * @param document - The document to parse
+ * @returns The root node and any syntax errors
+ */
+export function parseDocument(document: vscode.TextDocument): {tree: jsonc.Node|undefined; errors: jsonc.ParseError[]}{
+	let errors: jsonc.ParseError[] = [];
+	let tree = jsonc.parseTree(document.getText(), errors, {disallowComments: true, allowTrailingComma: false});
+	return {tree, errors};
+}
+
+/**
+ * Returns the range of the value at the given path. If the value is a string and an offset
+ * is provided, the range is the given number of characters (by default, one) at that offset of the string.
+ * Components (objects with a type) are located by their type so that the range stays small.
+ * @param document - The document containing the value
+ * @param tree - The parsed document (see parseDocument)
+ * @param path - The location of the value
+ * @param offset - The offset in the string value
+ * @param length - The number of characters from the offset to include in the range
+ * @returns The range of the value, or undefined if the path does not exist
+ */
+export function rangeAtPath(document: vscode.TextDocument, tree: jsonc.Node, path: JSONPath, offset?: number, length = 1): vscode.Range|undefined{
+	let node = jsonc.findNodeAtLocation(tree, path);
+	if(!node) {return undefined;}
+	if(node.type === "object"){
+		node = jsonc.findNodeAtLocation(node, ["type"]) ?? node;
+	}
+	if(node.type === "string" && offset !== undefined && offset >= 0){
+		let text = document.getText();
+		let start = Math.min(stringOffset(text, node, offset), node.offset + node.length - 1);
+		let end = Math.min(stringOffset(text, node, offset + length), node.offset + node.length - 1);
+		return new vscode.Range(document.positionAt(start), document.positionAt(Math.max(start, end)));
+	}
+	return new vscode.Range(document.positionAt(node.offset), document.positionAt(node.offset + node.length));
+}
+
+/**
+ * Converts an offset in the value of a string node to an offset in the document's text,
+ * accounting for escape sequences in the string
+ * @param text - The text of the document
+ * @param node - The string node
+ * @param offset - The offset in the string's value
+ */
+export function stringOffset(text: string, node: jsonc.Node, offset: number): number{
+	let index = node.offset + 1;
+	for(let i = 0; i < offset && index < node.offset + node.length - 1; i++){
+		index += text[index] !== "\\" ? 1 : text[index+1] === "u" ? 6 : 2;
+	}
+	return index;
+}
@@ -0,0 +1,148 @@
+import * as vscode from 'vscode';
+import { JSONPath } from './document';
+import { readDescription, resolveImports } from './imports';
+import { PSVGSELECTOR } from './language';
+import { loadPSVG } from './psvg';
+
+/*
+ * Writes the SVGs of .psvg.json documents without opening a preview (using ParametricSVG.renderString),
+ * either whenever a document is saved or for every document in the workspace.
+ */
+
+/** The default location of a document's SVG (see outputUri) */
+const DEFAULTPATH = "${name}.svg";
+
+/** The options used to export a document */
+interface ExportOptions {
+	/** Whether the SVG is written whenever the document is saved */
+	onSave: boolean;
+	/** The location of the SVG (see outputUri) */
+	path: string;
+}
+
+/**
+ * Returns the export options of a document: the document's export key takes precedence over the settings
+ * @param uri - The location of the document
+ * @param description - The document
+ */
+function getExportOptions(uri: vscode.Uri, description: any): ExportOptions{
+	let config = vscode.workspace.getConfiguration("parametricsvgextension.export", uri);
+	let own = description?.export ?? {};
+	return {
+		onSave: typeof own.onSave === "boolean" ? own.onSave : config.get<boolean>("onSave", false),
+		path: typeof own.path === "string" ? own.path : config.get<string>("path", DEFAULTPATH)
+	};
+}
+
+/**
+ * Returns the location of a document's SVG. The pattern can use ${name} (the name of the document without .psvg.json),
+ * ${dir} (the document's folder) and ${workspaceFolder}; relative paths are relative to the document's folder.
+ * @param uri - The location of the document
+ * @param pattern - The path of the SVG
+ */
+export function outputUri(uri: vscode.Uri, pattern: string): vscode.Uri{
+	let folder = vscode.Uri.joinPath(uri, "..");
+	let name = uri.path.split("/").pop()!.replace(/\.psvg\.json$|\.json$/, "");
+	let workspace = vscode.workspace.getWorkspaceFolder(uri)?.uri ?? folder;
+	let variables: Record<string, string> = {name, dir: folder.path, workspaceFolder: workspace.path};
+	let path = pattern.replace(/\\/g, "/").replace(/\$\{(name|dir|workspaceFolder)\}/g, (match, variable: string)=>variables[variable]);
+	return vscode.Uri.joinPath(path.startsWith("/") ? folder.with({path: "/"}) : folder, path);
+}
+
+/**
+ * Describes an error raised while exporting, including the location of ParametricSVGErrors
+ * @param error
+ */
+function describeError(error: any): string{
+	let path: JSONPath|undefined = error?.path;
+	let message = error?.message ?? String(error);
+	if(!path?.length) {return message;}
+	let location = path.map((key, i)=>typeof key === "number" ? `[${key}]` : i ? `.${key}` : key).join("");
+	if(error.offset !== undefined) {location += ` (offset ${error.offset})`;}
+	return `${location}: ${message}`;
+}
+
+/**
+ * Determines whether a description has an SVG to export: files without svgcomponents are only imported by other files
+ * @param description
+ */
+function hasSVG(description: any): boolean{
+	return Array.isArray(description?.svgcomponents);
+}
+
+/**
+ * Renders a description (with its imports resolved) and writes its SVG
+ * @param context - The extension's context (used to load ParametricSVG)
+ * @param uri - The location of the description
+ * @param description - The description
+ * @returns The location of the SVG
+ */
+async function exportDescription(context: vscode.ExtensionContext, uri: vscode.Uri, description: any): Promise<vscode.Uri>{
+	let {psvg} = await loadPSVG(context.extensionUri);
+	let resolved = await resolveImports(context, uri, description);
+	if(resolved.error) {throw resolved.error;}
+	let markup = psvg.ParametricSVG.renderString(resolved.description, undefined, undefined, true);
+	let output = outputUri(uri, getExportOptions(uri, description).path);
+	await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(output, ".."));
+	await vscode.workspace.fs.writeFile(output, new TextEncoder().encode(markup));
+	return output;
+}
+
+/**
+ * Registers export-on-save and the command which exports every .psvg.json file in the workspace
+ * @param context - The extension's context
+ */
+export function registerExport(context: vscode.ExtensionContext){
+	// The files written (or which failed) during the last workspace export
+	const exportLog = vscode.window.createOutputChannel("PSVG Export");
+	context.subscriptions.push(exportLog);
+
+	context.subscriptions.push(vscode.workspace.onDidSaveTextDocument(async document=>{
+		if(!vscode.languages.match(PSVGSELECTOR, document)) {return;}
+		let description;
+		try{
+			description = JSON.parse(document.getText());
+		}catch(e){
+			// Syntax errors are reported by the preview
+			return;
+		}
+		if(!hasSVG(description) || !getExportOptions(document.uri, description).onSave) {return;}
+		try{
+			await exportDescription(context, document.uri, description);
+		}catch(e){
+			vscode.window.showErrorMessage(`PSVGExt could not export ${vscode.workspace.asRelativePath(document.uri)}: ${describeError(e)}`);
+		}
+	}));
+
+	context.subscriptions.push(vscode.commands.registerCommand("parametricsvgextension.exportWorkspace", async ()=>{
+		let files = await vscode.workspace.findFiles("**/*.psvg.json", "**/node_modules/**");
+		if(!files.length) {return vscode.window.showInformationMessage("There are no .psvg.json files in the workspace");}
+		files.sort((a, b)=>a.path.localeCompare(b.path));
+		exportLog.clear();
+		let exported = 0;
+		let failed: string[] = [];
+		await vscode.window.withProgress({location: vscode.ProgressLocation.Notification, title: "Exporting PSVG files"}, async progress=>{
+			for(let uri of files){
+				let name = vscode.workspace.asRelativePath(uri);
+				progress.report({message: name, increment: 100 / files.length});
+				try{
+					let description = await readDescription(uri.toString());
+					if(!hasSVG(description)){
+						exportLog.appendLine(`${name}: skipped (no svgcomponents)`);
+						continue;
+					}
+					let output = await exportDescription(context, uri, description);
+					exportLog.appendLine(`${name} -> ${vscode.workspace.asRelativePath(output)}`);
+					exported++;
+				}catch(e){
+					exportLog.appendLine(`${name}: ${describeError(e)}`);
+					failed.push(name);
+				}
+			}
+		});
+		let answer = failed.length
+			? await vscode.window.showWarningMessage(`Exported ${exported} PSVG file(s); ${failed.length} failed: ${failed.join(", ")}`, "Show Log")
+			: await vscode.window.showInformationMessage(`Exported ${exported} PSVG file(s)`, "Show Log");
+		if(answer) {exportLog.show(true);}
+	}));
+}
@@ -1,145 +1,100 @@
 // The module 'vscode' contains the VS Code extensibility API
 // Import the module and reference it with the alias vscode in your code below
 import * as vscode from 'vscode';
+import { registerExport } from './export';
+import { registerLanguageFeatures } from './language';
+import { loadPSVG } from './psvg';
+import { Preview } from './preview';
 
 // This method is called when your extension is activated
 // Your extension is activated the very first time the command is executed
 export function activate(context: vscode.ExtensionContext) {
-	let currentPanel: vscode.WebviewPanel | undefined = undefined;
-	let currentDoc: vscode.TextEditor | undefined = undefined;
-	let lastPath: vscode.Uri | undefined = undefined;
+	/** The open previews: at most one per document, plus the preview which follows the active editor */
+	const previews = new Set<Preview>();
+	context.subscriptions.push({dispose: ()=>previews.forEach(preview=>preview.dispose())});
+	// JSON syntax errors and errors raised by ParametricSVG while rendering the preview
+	const diagnostics = vscode.languages.createDiagnosticCollection("psvg");
+	context.subscriptions.push(diagnostics);
+	// Elements and attributes which could not be converted by the last SVG import
+	const importLog = vscode.window.createOutputChannel("PSVG Import");
+	context.subscriptions.push(importLog);
 
-	const preview = ()=>{
-		return vscode.commands.registerCommand('parametricsvgextension.preview', ()=> {
-			if(currentPanel){
-				currentPanel.reveal();
-				if(currentDoc) update({document: currentDoc.document, contentChanges: [], reason: undefined});
-				return;
-			}
-
-			if(!vscode.window.activeTextEditor) return;
-
-			currentDoc = vscode.window.activeTextEditor;
-			if(!currentDoc) throw new Error("Failed to retrieve current doc");
-
-			let fname = /\\([^\\]+?)$/.exec(currentDoc.document.fileName)?.[1];
-
-			currentPanel = vscode.window.createWebviewPanel(
-				"psvgpreview",
-				`PSVG Preview ${fname}`,
-				vscode.ViewColumn.Two,
-				{  // Options
-					enableScripts: true,
-					localResourceRoots: [vscode.Uri.joinPath(context.extensionUri, "js"), vscode.Uri.joinPath(context.extensionUri, "css")]
-				}
-			);
-
-			
-			let scriptjsuri = vscode.Uri.joinPath(context.extensionUri,  "js", "script.js");
-			let scriptjs = currentPanel.webview.asWebviewUri(scriptjsuri);
-			let stylecssuri = vscode.Uri.joinPath(context.extensionUri,  "css", "style.css");
-			let stylecss = currentPanel.webview.asWebviewUri(stylecssuri);
-			
-			currentPanel.webview.html = buildPage({script: scriptjs, css: stylecss, webview : currentPanel.webview});
-
-			vscode.workspace.onDidChangeTextDocument(update);
-
-			currentPanel.webview.onDidReceiveMessage(
-				(message: {action: "update"|"error"|"save"; message: string|undefined}) => {
-					if(["update", "error", "save"].indexOf(message.action) < 0) return;
-					if(!currentDoc){
-						return vscode.window.showErrorMessage(`PSVGExt received an update message but no current text editor.`);
-					}
-					if(message.action == "update") return update({document: currentDoc.document, contentChanges: [], reason: undefined});
-					if(message.action == "error"){
-						if(!message.message) return;
-						return vscode.window.showErrorMessage(message.message);
-					}
-					if(message.action == "save"){
-						if(!message.message) return;
-						return save(message.message);
-					}
-				},
-				undefined,
-				context.subscriptions
-			  );
-			
-			currentPanel.onDidDispose(()=>{
-				// Webview Closed
-				currentPanel = undefined;
-				currentDoc = undefined;
-					},
-				null,
-				context.subscriptions
-			);
-		})
-	};
+	/**
+	 * Opens (or reveals) the preview of the active editor's document. If parametricsvgextension.preview.followActiveEditor
+	 * is enabled, a single preview is used which follows the active editor.
+	 */
+	function preview(){
+		let document = vscode.window.activeTextEditor?.document;
+		let follow = vscode.workspace.getConfiguration("parametricsvgextension.preview").get<boolean>("followActiveEditor", false);
+		let existing = [...previews].find(preview=>follow ? preview.follow : !preview.follow && document && preview.isShowing(document));
+		if(existing){
+			if(document) {existing.show(document);}
+			return existing.reveal();
+		}
+		if(!document) {return;}
+		let opened = new Preview(context, diagnostics, document, follow);
+		previews.add(opened);
+		opened.onDidDispose(()=>previews.delete(opened));
+	}
 
-	function update(e: vscode.TextDocumentChangeEvent){
-		if(!currentDoc || !currentPanel) return;
+	/**
+	 * Exports raster images from the active preview, or the preview of the active editor's document
+	 */
+	function exportRaster(){
+		let document = vscode.window.activeTextEditor?.document;
+		let target = [...previews].find(preview=>preview.panel.active) ?? [...previews].find(preview=>document && preview.isShowing(document));
+		if(!target){
+			return vscode.window.showErrorMessage("Open the PSVG Preview to export raster images");
+		}
+		return target.exportRaster();
+	}
 
-		let svg;
+	/**
+	 * Converts an SVG file to a .psvg.json document next to it and opens the document
+	 * @param uri - The SVG file (defaults to the active editor's file, otherwise the user is asked to choose one)
+	 */
+	async function importSVG(uri?: vscode.Uri){
+		if(!(uri instanceof vscode.Uri)){
+			let active = vscode.window.activeTextEditor?.document.uri;
+			uri = active?.path.toLowerCase().endsWith(".svg") ? active : (await vscode.window.showOpenDialog({
+				canSelectMany: false, filters: {"SVG File": ["svg"]}, title: "Import SVG File"
+			}))?.[0];
+			if(!uri) {return;}
+		}
+		let markup = new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+		let result;
 		try{
-			svg = JSON.parse(currentDoc.document.getText());
-		}catch(e){
-			return;
+			let {svgimport} = await loadPSVG(context.extensionUri);
+			result = svgimport.importSVG(markup);
+		}catch(e: any){
+			// XMLErrors record the offset of malformed markup
+			let location = typeof e?.offset === "number" ? ` (line ${markup.slice(0, e.offset).split("\n").length})` : "";
+			return vscode.window.showErrorMessage(`PSVGExt could not import ${uri.path.split("/").pop()}${location}: ${e?.message ?? e}`);
 		}
-		currentPanel.webview.postMessage({action: "update", svg});
-	};
 
-	async function save(svg: string){
-		if(!currentDoc || !currentPanel) return;
-		let root = lastPath ?? vscode.workspace.workspaceFolders?.[0].uri ?? null;
-		if(!root){
-			let parts = currentDoc.document.uri.path.split("/");
-			let r = parts.slice(0,-1).join("/");
-			root = vscode.Uri.file(r);
+		let name = uri.path.split("/").pop()!.replace(/\.svg$/i, "");
+		let destination = vscode.Uri.joinPath(uri, "..", `${name}.psvg.json`);
+		let exists = await vscode.workspace.fs.stat(destination).then(()=>true, ()=>false);
+		if(exists){
+			let answer = await vscode.window.showWarningMessage(`${name}.psvg.json already exists. Do you want to replace it?`, {modal: true}, "Replace");
+			if(answer !== "Replace") {return;}
+		}
+		await vscode.workspace.fs.writeFile(destination, new TextEncoder().encode(JSON.stringify(result.description, null, 4)));
+		await vscode.window.showTextDocument(destination);
+		if(result.warnings.length){
+			importLog.clear();
+			importLog.appendLine(`${uri.fsPath}:`);
+			result.warnings.forEach(warning=>importLog.appendLine(`  ${warning}`));
+			let answer = await vscode.window.showWarningMessage(`Imported ${name}.svg with ${result.warnings.length} warning(s)`, "Show Warnings");
+			if(answer) {importLog.show(true);}
 		}
-		let location: vscode.Uri|undefined = await vscode.window.showSaveDialog({
-			// Would prefer to use currentDoc, but it seems more straightforward/less
-			// error-prone to just use the workspace
-			defaultUri: root,
-			filters:{"SVG File": ["svg"]},
-			title:"Save SVG File"}
-		);
-		if(!location) return;
-		lastPath = location;
-		let encoded = new TextEncoder().encode(svg);
-		vscode.workspace.fs.writeFile(location, encoded);
 	}
 
-	context.subscriptions.push(preview());
-}
-
-function buildPage(options: { script: vscode.Uri|null , css: vscode.Uri|null, webview: vscode.Webview}){
-	let script = options.script ?? null;
-	let css = options.css ?? null;
-	let webview = options.webview ?? null;
-	return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>PSVG Preview</title>
-	<meta
-		http-equiv="Content-Security-Policy"
-		content="default-src 'none'; script-src ${webview.cspSource}; style-src ${webview.cspSource};"
-	/>
-	${css ? `<link rel="stylesheet" href="${css}" />` : ''}
-</head>
-<body>
-	<p id="sizep">Displayed Size: <span id="size"></span></p>
-	<div id="sizesub">
-		<p>Scroll: +-100</p>
-		<p>Scroll + Ctrl: +-50</p>
-		<p>Scroll + Ctrl + Shift: +- 10</p>
-		<p>Scroll + Ctrl + Shift + Alt: +- 1</p>
-	</div>
-    <div id="svg"><svg></svg></div>
-	<button id="save">Save SVG</button>
-	${script ? `<script src="${script}" type="module"></script>` : '<h1>Could not load Evaluator</h1>'}
-</body>
-</html>`;
+	context.subscriptions.push(vscode.commands.registerCommand("parametricsvgextension.preview", preview));
+	context.subscriptions.push(vscode.commands.registerCommand("parametricsvgextension.importSVG", importSVG));
+	context.subscriptions.push(vscode.commands.registerCommand("parametricsvgextension.exportRaster", exportRaster));
+	registerLanguageFeatures(context);
+	registerExport(context);
 }
 
 // This method is called when your extension is deactivated
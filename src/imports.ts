@@ -0,0 +1,101 @@
+import * as vscode from 'vscode';
+import * as jsonc from 'jsonc-parser';
+import { loadPSVG } from './psvg';
+
+/*
+ * Documents can import the equations and components of other .psvg.json files (see ParametricSVG.resolveImports).
+ * Imported files are read from their editor if they are open, so that unsaved edits are previewed.
+ */
+
+/**
+ * Reads the description at a URL for ParametricSVG.resolveImports
+ * @param url - The URL of the imported file
+ */
+export async function readDescription(url: string): Promise<unknown>{
+	let uri = vscode.Uri.parse(url);
+	let open = vscode.workspace.textDocuments.find(document=>document.uri.toString() === uri.toString());
+	let text = open ? open.getText() : new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+	let errors: jsonc.ParseError[] = [];
+	let description = jsonc.parse(text, errors, {disallowComments: true, allowTrailingComma: false});
+	if(errors.length) {throw new Error(`Invalid JSON: ${jsonc.printParseErrorCode(errors[0].error)} at offset ${errors[0].offset}`);}
+	return description;
+}
+
+/** The result of resolving the imports of a description */
+export interface ResolvedImports {
+	/** The description with its imports resolved; undefined if they could not be resolved */
+	description?: any;
+	/** The files which were imported (or which the description tried to import) */
+	imports: vscode.Uri[];
+	/** The error raised while resolving the imports (see ParametricSVGError) */
+	error?: Error & {path?: (string|number)[]; offset?: number};
+}
+
+/**
+ * Adds the equations and components imported by a description (see ParametricSVG.resolveImports)
+ * @param context - The extension's context (used to load ParametricSVG)
+ * @param uri - The location of the description
+ * @param description - The description
+ */
+export async function resolveImports(context: vscode.ExtensionContext, uri: vscode.Uri, description: any): Promise<ResolvedImports>{
+	let {psvg} = await loadPSVG(context.extensionUri);
+	// Recorded as they are loaded so that files which failed to import are still known
+	let imports: vscode.Uri[] = [];
+	let load = (url: string)=>{
+		imports.push(vscode.Uri.parse(url));
+		return readDescription(url);
+	};
+	try{
+		let resolved = await psvg.ParametricSVG.resolveImports(description, uri.toString(), load);
+		return {description: resolved.description, imports};
+	}catch(e){
+		return {imports, error: e as ResolvedImports["error"]};
+	}
+}
+
+/**
+ * Watches a set of imported files, both on disk and in open editors
+ */
+export class ImportWatcher implements vscode.Disposable {
+	private watchers = new Map<string, vscode.FileSystemWatcher>();
+	private emitter = new vscode.EventEmitter<vscode.Uri>();
+	private listener: vscode.Disposable;
+	/** Fires when one of the watched files changes */
+	readonly onDidChange = this.emitter.event;
+
+	constructor(){
+		this.listener = vscode.workspace.onDidChangeTextDocument(({document})=>{
+			if(this.watchers.has(document.uri.toString())) {this.emitter.fire(document.uri);}
+		});
+	}
+
+	/**
+	 * Replaces the watched files
+	 * @param uris - The files to watch
+	 */
+	watch(uris: vscode.Uri[]){
+		let keys = new Set(uris.map(uri=>uri.toString()));
+		for(let [key, watcher] of this.watchers){
+			if(keys.has(key)) {continue;}
+			watcher.dispose();
+			this.watchers.delete(key);
+		}
+		for(let uri of uris){
+			let key = uri.toString();
+			if(this.watchers.has(key)) {continue;}
+			// A pattern relative to the file's folder also watches files outside of the workspace
+			let watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(vscode.Uri.joinPath(uri, ".."), uri.path.split("/").pop()!));
+			let fire = ()=>this.emitter.fire(uri);
+			watcher.onDidChange(fire);
+			watcher.onDidCreate(fire);
+			watcher.onDidDelete(fire);
+			this.watchers.set(key, watcher);
+		}
+	}
+
+	dispose(){
+		this.watch([]);
+		this.listener.dispose();
+		this.emitter.dispose();
+	}
+}
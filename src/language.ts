@@ -0,0 +1,462 @@
+import * as vscode from 'vscode';
+import * as jsonc from 'jsonc-parser';
+import { ComponentParameter, JSONPath, RepeatScope, findParameters, findRepeatScopes, isEquationPath, parseDocument, rangeAtPath } from './document';
+import { loadPSVG, PSVGLibrary, Variables } from './psvg';
+import { resolveImports } from './imports';
+import { findOccurrences, getOccurrenceAt, VARIABLENAMEREG, VariableOccurrence } from './symbols';
+
+/** Documents handled by the language features */
+export const PSVGSELECTOR: vscode.DocumentSelector = {pattern: "**/*.psvg.json"};
+
+/** An equation found in a document */
+export interface EquationLocation {
+	/** The string or number node which holds the equation */
+	node: jsonc.Node;
+	/** The location of the equation in the document */
+	path: JSONPath;
+	/** The equation */
+	equation: string;
+	/** The parsed document */
+	tree: jsonc.Node;
+}
+
+/**
+ * Returns the equation at the given position: either the position is inside the equation itself,
+ * inside the property name of the equation or inside the name of an entry in equations.
+ * @param document - The document to search
+ * @param position - The position to search at
+ */
+export function getEquationAt(document: vscode.TextDocument, position: vscode.Position): EquationLocation|undefined{
+	let {tree} = parseDocument(document);
+	if(!tree) {return undefined;}
+	let node = jsonc.findNodeAtOffset(tree, document.offsetAt(position));
+	if(!node) {return undefined;}
+	// Property name: use its value
+	if(node.parent?.type === "property" && node.parent.children?.[0] === node){
+		node = node.parent.children[1];
+		// The name of an equation: use the equation's value
+		let path = node && jsonc.getNodePath(node);
+		if(node?.type === "object" && path?.length === 2 && path[0] === "equations"){
+			node = jsonc.findNodeAtLocation(node, ["value"]);
+		}
+	}
+	if(!node || (node.type !== "string" && node.type !== "number")) {return undefined;}
+	let path = jsonc.getNodePath(node);
+	if(!isEquationPath(path)) {return undefined;}
+	return {node, path, equation: String(node.value), tree};
+}
+
+/** The evaluated equations of a document */
+export interface EvaluatedDocument {
+	library: PSVGLibrary;
+	/** The equations of the document, including the implicit vbw and vbh */
+	equations: Variables;
+	/** The evaluated equations; undefined if the equations could not be compiled */
+	variables?: Variables;
+	/** The error raised while resolving the imports or compiling the equations */
+	error?: Error;
+}
+
+const EVALUATED = new WeakMap<vscode.TextDocument, {version: number; generation: number; result: Promise<EvaluatedDocument|undefined>}>();
+/** Incremented whenever a .psvg.json file changes, since documents can import each other */
+let generation = 0;
+
+/**
+ * Evaluates the equations of a document (including its imported equations) the same way that parseJSON does.
+ * Results are cached per version of the document until any .psvg.json file changes.
+ * @param context - The extension's context (used to load ParametricSVG)
+ * @param document - The document to evaluate
+ * @returns The evaluated equations, or undefined if the document is not a JSON object
+ */
+export function evaluateDocument(context: vscode.ExtensionContext, document: vscode.TextDocument): Promise<EvaluatedDocument|undefined>{
+	let cached = EVALUATED.get(document);
+	if(cached && cached.version === document.version && cached.generation === generation) {return cached.result;}
+	let result = (async ()=>{
+		// Parsed leniently so that the document can still be evaluated while it is being edited
+		let description = jsonc.parse(document.getText());
+		if(typeof description !== "object" || !description) {return undefined;}
+		let library = await loadPSVG(context.extensionUri);
+		let {ParametricSVG} = library.psvg;
+		let resolved = await resolveImports(context, document.uri, description);
+		if(resolved.error){
+			let {imports, ...local} = description;
+			return {library, equations: ParametricSVG.getEquations(local), error: resolved.error};
+		}
+		description = resolved.description;
+		let equations = ParametricSVG.getEquations(description);
+		try{
+			let variables = ParametricSVG.compileEquations(description).resolve();
+			return {library, equations, variables};
+		}catch(e){
+			return {library, equations, error: e as Error};
+		}
+	})();
+	EVALUATED.set(document, {version: document.version, generation, result});
+	return result;
+}
+
+/**
+ * Formats a number for display
+ * @param value - The number to format
+ */
+function formatValue(value: unknown): string{
+	return typeof value === "number" ? String(Number(value.toPrecision(12))) : String(value);
+}
+
+/** The variables which are only available at a location in the document */
+interface LocalVariables {
+	/** The parameters of the component definition containing the location (see findParameters) */
+	parameters: ComponentParameter[];
+	/** The repeat components containing the location (see findRepeatScopes) */
+	scopes: RepeatScope[];
+}
+
+/**
+ * Returns the variables which are only available to the equation at the given location
+ * @param location - The equation
+ */
+function findLocalVariables(location: EquationLocation): LocalVariables{
+	return {parameters: findParameters(location.tree, location.path), scopes: findRepeatScopes(location.tree, location.path)};
+}
+
+/**
+ * Describes the variables an equation depends on as a nested markdown list
+ * @param evaluated - The evaluated document
+ * @param equation - The equation to describe
+ * @param locals - The local variables available to the equation (equations in the equations section have none)
+ * @param depth - The current depth of the list
+ * @param visited - Variables which have already been described
+ */
+function describeDependencies(evaluated: EvaluatedDocument, equation: string, locals: LocalVariables = {parameters: [], scopes: []}, depth = 0, visited = new Set<string>()): string[]{
+	let {getReferences, parseEquation, CONSTANTS} = evaluated.library.equations;
+	let references: string[];
+	try{
+		references = getReferences(parseEquation(equation));
+	}catch(e){
+		return [];
+	}
+	let lines: string[] = [];
+	let indent = "  ".repeat(depth);
+	for(let name of references){
+		// The innermost repeat's variables take precedence
+		let scope = [...locals.scopes].reverse().find(({index, countAs})=>name === index || name === countAs);
+		if(scope){
+			lines.push(`${indent}- \`${name}\` — ${name === scope.index ? `index of a repeat (0 to \`${scope.count}\` - 1)` : `count of a repeat (\`${scope.count}\`)`}`);
+			continue;
+		}
+		let parameter = locals.parameters.find(parameter=>parameter.name === name);
+		if(parameter){
+			let value = parameter.value === undefined ? "required" : `default \`${parameter.value}\``;
+			let comment = parameter.comment ? ` — ${parameter.comment}` : "";
+			lines.push(`${indent}- \`${name}\` — parameter of \`${parameter.definition}\` (${value})${comment}`);
+			continue;
+		}
+		let variable = Object.hasOwn(evaluated.equations, name) ? evaluated.equations[name] : undefined;
+		if(!variable){
+			let constant = Object.hasOwn(CONSTANTS, name) ? CONSTANTS[name] : undefined;
+			lines.push(`${indent}- \`${name}\` = ${constant === undefined ? "*undefined*" : `\`${formatValue(constant)}\` (constant)`}`);
+			continue;
+		}
+		let resolved = evaluated.variables?.[name];
+		let value = resolved?.error ? `*${resolved.error.message}*` : resolved?.value !== undefined ? `\`${formatValue(resolved.value)}\`` : "*not evaluated*";
+		let source = String(variable.value).trim() === formatValue(resolved?.value) ? "" : ` \`${variable.value}\` →`;
+		let disabled = variable.disabled ? " (disabled)" : "";
+		let comment = variable.comment ? ` — ${variable.comment}` : "";
+		lines.push(`${indent}- \`${name}\` =${source} ${value}${disabled}${comment}`);
+		if(visited.has(name)) {continue;}
+		visited.add(name);
+		lines.push(...describeDependencies(evaluated, String(variable.value), undefined, depth+1, visited));
+	}
+	return lines;
+}
+
+/** Characters after which equation completions are suggested */
+const COMPLETIONTRIGGERS = ['"', "(", ",", " ", "+", "-", "*", "/", "%", "^", "<", ">", "=", "!", "&", "|", "?", ":"];
+/** Matches variable names in equations */
+const VARIABLEREG = /[a-zA-Z_][a-zA-Z0-9_]*/;
+/** Descriptions of the variables which parseJSON adds from the root viewBox */
+const IMPLICITCOMMENTS: Record<string, string> = {
+	vbw: "The width of the root `viewBox`",
+	vbh: "The height of the root `viewBox`"
+};
+
+/**
+ * Suggests variables (and the built-in constants and functions) inside equations
+ * @param context - The extension's context
+ * @param document - The document being edited
+ * @param position - The position being completed
+ */
+async function provideEquationCompletions(context: vscode.ExtensionContext, document: vscode.TextDocument, position: vscode.Position): Promise<vscode.CompletionItem[]|undefined>{
+	let location = getEquationAt(document, position);
+	// Only complete inside the string itself (not its property name)
+	let offset = document.offsetAt(position);
+	if(!location || location.node.type !== "string" || offset <= location.node.offset || offset >= location.node.offset + location.node.length) {return undefined;}
+	let evaluated = await evaluateDocument(context, document);
+	if(!evaluated) {return undefined;}
+
+	let range = document.getWordRangeAtPosition(position, VARIABLEREG);
+	// An equation cannot reference itself
+	let self = location.path[0] === "equations" ? location.path[1] : undefined;
+	let locals = findLocalVariables(location);
+	let items: vscode.CompletionItem[] = [];
+	for(let parameter of locals.parameters){
+		let item = new vscode.CompletionItem(parameter.name, vscode.CompletionItemKind.Variable);
+		item.detail = `parameter of ${parameter.definition}${parameter.value === undefined ? "" : ` (default ${parameter.value})`}`;
+		if(parameter.comment) {item.documentation = new vscode.MarkdownString(parameter.comment);}
+		item.range = range;
+		item.sortText = `0${parameter.name}`;
+		items.push(item);
+	}
+	for(let [name, variable] of Object.entries(evaluated.equations)){
+		// Parameters take precedence over equations with the same name
+		if(name === self || items.some(item=>item.label === name)) {continue;}
+		let item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Variable);
+		let resolved = evaluated.variables?.[name];
+		let value = resolved?.value !== undefined ? formatValue(resolved.value) : String(variable.value);
+		item.detail = `= ${value}${variable.disabled ? " (disabled)" : ""}`;
+		let documentation = [variable.comment ?? (Object.hasOwn(IMPLICITCOMMENTS, name) ? IMPLICITCOMMENTS[name] : undefined)];
+		// Show the formula the value was calculated from
+		if(String(variable.value).trim() !== value) {documentation.push(`\`${variable.value}\``);}
+		item.documentation = new vscode.MarkdownString(documentation.filter(part=>part).join("\n\n"));
+		item.range = range;
+		// Variables are listed before constants and functions
+		item.sortText = `0${name}`;
+		items.push(item);
+	}
+	for(let scope of locals.scopes){
+		for(let name of [scope.index, scope.countAs]){
+			if(!name || items.some(item=>item.label === name)) {continue;}
+			let item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Variable);
+			item.detail = name === scope.index ? `index of a repeat (0 to ${scope.count} - 1)` : `count of a repeat (${scope.count})`;
+			item.range = range;
+			item.sortText = `0${name}`;
+			items.push(item);
+		}
+	}
+	let {CONSTANTS, FUNCTIONS} = evaluated.library.equations;
+	for(let [name, value] of Object.entries(CONSTANTS)){
+		if(Object.hasOwn(evaluated.equations, name)) {continue;}
+		let item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Constant);
+		item.detail = `= ${formatValue(value)}`;
+		item.range = range;
+		item.sortText = `1${name}`;
+		items.push(item);
+	}
+	for(let [name, {args}] of Object.entries(FUNCTIONS)){
+		let item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Function);
+		item.detail = args === undefined ? `${name}(...)` : `${name}(${args} argument${args === 1 ? "" : "s"})`;
+		item.insertText = new vscode.SnippetString(`${name}($0)`);
+		item.range = range;
+		item.sortText = `2${name}`;
+		items.push(item);
+	}
+	return items;
+}
+
+/**
+ * Returns the occurrences of equation names in a document along with the occurrence at the given position
+ * @param context - The extension's context (used to load ParametricSVG)
+ * @param document - The document to search
+ * @param position - The position of the name being looked up
+ */
+async function lookupOccurrences(context: vscode.ExtensionContext, document: vscode.TextDocument, position: vscode.Position): Promise<{tree: jsonc.Node; occurrences: VariableOccurrence[]; occurrence: VariableOccurrence}|undefined>{
+	let {tree} = parseDocument(document);
+	if(!tree) {return undefined;}
+	let library = await loadPSVG(context.extensionUri);
+	let occurrences = findOccurrences(document, tree, library.equations);
+	let occurrence = getOccurrenceAt(occurrences, position);
+	if(!occurrence) {return undefined;}
+	return {tree, occurrences, occurrence};
+}
+
+/**
+ * Reports the problems found by ParametricSVG.checkReferences (missing targets, duplicate ids
+ * and unused defs) as diagnostics. Documents with JSON syntax errors, and documents which cannot be rendered, are not checked.
+ * @param context - The extension's context (used to load ParametricSVG)
+ * @param diagnostics - The collection to report the problems in
+ * @param document - The document to check
+ */
+async function checkReferences(context: vscode.ExtensionContext, diagnostics: vscode.DiagnosticCollection, document: vscode.TextDocument){
+	if(!vscode.languages.match(PSVGSELECTOR, document)) {return;}
+	let {tree, errors} = parseDocument(document);
+	let description = tree && jsonc.getNodeValue(tree);
+	if(!tree || errors.length || typeof description !== "object" || !description) {return;}
+	let version = document.version;
+	let {psvg} = await loadPSVG(context.extensionUri);
+	// The document may have changed (and been checked again) while loading
+	if(document.isClosed || document.version !== version) {return;}
+	let resolved = await resolveImports(context, document.uri, description);
+	if(document.isClosed || document.version !== version) {return;}
+	let issues;
+	try{
+		if(resolved.error) {throw resolved.error;}
+		issues = psvg.ParametricSVG.checkReferences(resolved.description);
+	}catch(e){
+		// Descriptions which cannot be rendered are reported when rendering the preview
+		diagnostics.delete(document.uri);
+		return;
+	}
+	diagnostics.set(document.uri, issues.map(issue=>{
+		// The children of imported definitions are not in the document, so the innermost instance in the document is used instead
+		let range = rangeAtPath(document, tree, issue.path, issue.offset, issue.id.length)
+			?? [...issue.instances].reverse().map(path=>rangeAtPath(document, tree, path)).find(range=>range)
+			?? new vscode.Range(0, 0, 0, 0);
+		let severity = issue.type === "unused" ? vscode.DiagnosticSeverity.Information : vscode.DiagnosticSeverity.Warning;
+		let diagnostic = new vscode.Diagnostic(range, issue.message, severity);
+		diagnostic.source = "PSVG";
+		diagnostic.code = issue.type;
+		if(issue.type === "unused") {diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];}
+		return diagnostic;
+	}));
+}
+
+/**
+ * Registers the language features for .psvg.json documents
+ * @param context - The extension's context
+ */
+export function registerLanguageFeatures(context: vscode.ExtensionContext){
+	const references = vscode.languages.createDiagnosticCollection("psvg-references");
+	context.subscriptions.push(
+		references,
+		vscode.workspace.onDidOpenTextDocument(document=>checkReferences(context, references, document)),
+		vscode.workspace.onDidChangeTextDocument(({document})=>checkReferences(context, references, document)),
+		vscode.workspace.onDidCloseTextDocument(document=>references.delete(document.uri))
+	);
+	vscode.workspace.textDocuments.forEach(document=>checkReferences(context, references, document));
+
+	// Imported equations may have changed
+	const descriptions = vscode.workspace.createFileSystemWatcher("**/*.psvg.json");
+	const invalidate = ()=>{generation++;};
+	context.subscriptions.push(
+		descriptions,
+		descriptions.onDidChange(invalidate),
+		descriptions.onDidCreate(invalidate),
+		descriptions.onDidDelete(invalidate),
+		vscode.workspace.onDidChangeTextDocument(({document})=>{
+			if(vscode.languages.match(PSVGSELECTOR, document)) {invalidate();}
+		})
+	);
+
+	context.subscriptions.push(vscode.languages.registerHoverProvider(PSVGSELECTOR, {
+		async provideHover(document, position){
+			let location = getEquationAt(document, position);
+			if(!location) {return undefined;}
+			let evaluated = await evaluateDocument(context, document);
+			if(!evaluated) {return undefined;}
+			let {equations} = evaluated.library;
+			try{
+				equations.parseEquation(location.equation);
+			}catch(e){
+				// Strings which are not equations (e.g.- colors) are used as-is by parseJSON
+				return undefined;
+			}
+
+			let markdown = new vscode.MarkdownString();
+			markdown.appendMarkdown(`\`${location.equation}\``);
+			let locals = findLocalVariables(location);
+			if(evaluated.error){
+				markdown.appendMarkdown(` — *${evaluated.error.message}*`);
+			}else{
+				// Equations inside component definitions are shown with the parameters' default values
+				let variables: Variables = {...evaluated.variables};
+				for(let {name, definition, value} of locals.parameters){
+					try{
+						if(value === undefined) {throw new Error(`"${name}" is a required parameter of "${definition}"`);}
+						variables[name] = {name, value: equations.evaluateEquation(value, variables)};
+					}catch(e){
+						variables[name] = {name, error: e as Error};
+					}
+				}
+				// Equations inside repeats are shown for the first repetition
+				for(let {count, index, countAs} of locals.scopes){
+					variables[index] = {name: index, value: 0};
+					if(!countAs) {continue;}
+					try{
+						variables[countAs] = {name: countAs, value: equations.evaluateEquation(count, variables)};
+					}catch(e){
+						variables[countAs] = {name: countAs, error: e as Error};
+					}
+				}
+				try{
+					let value = equations.evaluateEquation(location.equation, variables);
+					markdown.appendMarkdown(` = **${formatValue(value)}**`);
+					let references = equations.getReferences(equations.parseEquation(location.equation));
+					let assumptions = [
+						...locals.parameters.filter(({name})=>references.includes(name)).map(({name})=>`${name} = ${formatValue(variables[name].value)}`),
+						...locals.scopes.map(({index})=>index).filter(index=>references.includes(index)).map(index=>`${index} = 0`)
+					];
+					if(assumptions.length) {markdown.appendMarkdown(` *(when ${assumptions.join(", ")})*`);}
+				}catch(e){
+					markdown.appendMarkdown(` — *${(e as Error).message}*`);
+				}
+			}
+			let dependencies = describeDependencies(evaluated, location.equation, locals);
+			if(dependencies.length){
+				markdown.appendMarkdown("\n\n" + dependencies.join("\n"));
+			}
+			let range = new vscode.Range(document.positionAt(location.node.offset), document.positionAt(location.node.offset + location.node.length));
+			return new vscode.Hover(markdown, range);
+		}
+	}));
+
+	context.subscriptions.push(vscode.languages.registerCompletionItemProvider(PSVGSELECTOR, {
+		provideCompletionItems(document, position){
+			return provideEquationCompletions(context, document, position);
+		}
+	}, ...COMPLETIONTRIGGERS));
+
+	context.subscriptions.push(vscode.languages.registerDefinitionProvider(PSVGSELECTOR, {
+		async provideDefinition(document, position){
+			let found = await lookupOccurrences(context, document, position);
+			if(!found) {return undefined;}
+			let {tree, occurrences, occurrence} = found;
+			let definitions = occurrences.filter(({name, kind})=>name === occurrence.name && kind === "definition");
+			if(!definitions.length && Object.hasOwn(IMPLICITCOMMENTS, occurrence.name)){
+				// vbw and vbh are defined by the root viewBox
+				let viewBox = jsonc.findNodeAtLocation(tree, ["attributes", "viewBox"]);
+				if(!viewBox) {return undefined;}
+				return new vscode.Location(document.uri, new vscode.Range(document.positionAt(viewBox.offset), document.positionAt(viewBox.offset + viewBox.length)));
+			}
+			return definitions.map(({range})=>new vscode.Location(document.uri, range));
+		}
+	}));
+
+	context.subscriptions.push(vscode.languages.registerReferenceProvider(PSVGSELECTOR, {
+		async provideReferences(document, position, referenceContext){
+			let found = await lookupOccurrences(context, document, position);
+			if(!found) {return undefined;}
+			let {occurrences, occurrence} = found;
+			return occurrences
+				.filter(({name, kind})=>name === occurrence.name && (referenceContext.includeDeclaration || (kind !== "definition" && kind !== "name")))
+				.map(({range})=>new vscode.Location(document.uri, range));
+		}
+	}));
+
+	context.subscriptions.push(vscode.languages.registerRenameProvider(PSVGSELECTOR, {
+		async prepareRename(document, position){
+			let found = await lookupOccurrences(context, document, position);
+			if(!found) {throw new Error("Only the names of equations can be renamed");}
+			let {occurrences, occurrence} = found;
+			if(!occurrences.some(({name, kind})=>name === occurrence.name && kind === "definition")){
+				throw new Error(Object.hasOwn(IMPLICITCOMMENTS, occurrence.name) ? `"${occurrence.name}" is defined by the root viewBox and cannot be renamed` : `"${occurrence.name}" is not defined in equations`);
+			}
+			return {range: occurrence.range, placeholder: occurrence.name};
+		},
+		async provideRenameEdits(document, position, newName){
+			let found = await lookupOccurrences(context, document, position);
+			if(!found) {return undefined;}
+			let {occurrences, occurrence} = found;
+			if(!VARIABLENAMEREG.test(newName)){
+				throw new Error(`"${newName}" is not a valid equation name: names must start with a letter or underscore and only contain [a-zA-Z0-9_]`);
+			}
+			if(newName !== occurrence.name && occurrences.some(({name, kind})=>name === newName && kind === "definition")){
+				throw new Error(`An equation named "${newName}" already exists`);
+			}
+			let edit = new vscode.WorkspaceEdit();
+			for(let {range} of occurrences.filter(({name})=>name === occurrence.name)){
+				edit.replace(document.uri, range, newName);
+			}
+			return edit;
+		}
+	}));
+}
@@ -0,0 +1,449 @@
+import * as vscode from 'vscode';
+import * as jsonc from 'jsonc-parser';
+import { randomBytes } from 'crypto';
+import { JSONPath, componentPathAt, parseDocument, rangeAtPath } from './document';
+import { ImportWatcher, resolveImports } from './imports';
+
+/** The messages posted by the preview's webview (js/script.js) */
+interface PreviewMessage {
+	action: "update"|"error"|"rendered"|"save"|"writeback"|"exportraster"|"raster"|"reveal";
+	message: string|undefined;
+	path?: JSONPath;
+	offset?: number;
+	name?: string;
+	value?: number;
+	images?: RasterImage[];
+	variant?: string;
+	sources?: JSONPath[];
+	/** The errors of the equations of a rendered document (see ParametricSVG.checkEquations) */
+	errors?: {message: string; path?: JSONPath; offset?: number}[];
+}
+
+/** The options of a raster export */
+interface RasterOptions {
+	/** The width and height of each image in pixels */
+	sizes: number[];
+	format: "png"|"webp";
+	/** The padding on each side of the images, as a percentage of their size */
+	padding: number;
+	/** The background color of the images (transparent if empty) */
+	background: string;
+}
+
+/** A raster image created by the preview */
+interface RasterImage {
+	size: number;
+	/** The base64 encoded image */
+	data: string;
+}
+
+/**
+ * A webview panel which renders a .psvg.json document. A preview either shows a single document or
+ * follows the active editor, switching to each .psvg.json document that is opened in it.
+ */
+export class Preview implements vscode.Disposable {
+	/** The location the last SVG was saved to, which the next save dialog starts at */
+	private static lastSave: vscode.Uri|undefined = undefined;
+	/** The answers given the last time raster images were exported */
+	private static lastRaster: RasterOptions = {sizes: [16, 32, 48, 128, 512], format: "png", padding: 0, background: ""};
+	/** The folder chosen the last time raster images were exported */
+	private static lastRasterFolder: vscode.Uri|undefined = undefined;
+
+	readonly panel: vscode.WebviewPanel;
+	/** The files imported by the document, which re-render the preview when they change */
+	private importWatcher = new ImportWatcher();
+	private listeners: vscode.Disposable[] = [];
+	private disposeEmitter = new vscode.EventEmitter<void>();
+	/** Counts the updates of the preview so that updates which finish out of order are ignored */
+	private updates = 0;
+	/** The component last highlighted in the preview (as JSON), so that it is only sent when it changes */
+	private highlighted: string|undefined = undefined;
+	/** The folder which the images requested from the preview are written to (see writeRaster) */
+	private rasterFolder: vscode.Uri|undefined = undefined;
+	/** Whether the preview switched documents since it was last updated (so the webview discards its view and parameters) */
+	private switched = false;
+	private disposed = false;
+	/** Fires when the preview is closed */
+	readonly onDidDispose = this.disposeEmitter.event;
+
+	/**
+	 * Opens a preview
+	 * @param context - The extension's context
+	 * @param diagnostics - The collection which rendering errors are reported to
+	 * @param document - The document to preview
+	 * @param follow - Whether the preview follows the active editor
+	 */
+	constructor(private context: vscode.ExtensionContext, private diagnostics: vscode.DiagnosticCollection, public document: vscode.TextDocument, readonly follow: boolean){
+		this.panel = vscode.window.createWebviewPanel(
+			"psvgpreview",
+			this.title(),
+			vscode.ViewColumn.Two,
+			{  // Options
+				enableScripts: true,
+				localResourceRoots: [vscode.Uri.joinPath(context.extensionUri, "js"), vscode.Uri.joinPath(context.extensionUri, "css")]
+			}
+		);
+		let webview = this.panel.webview;
+		let script = webview.asWebviewUri(vscode.Uri.joinPath(context.extensionUri, "js", "script.js"));
+		let css = webview.asWebviewUri(vscode.Uri.joinPath(context.extensionUri, "css", "style.css"));
+		webview.html = buildPage({script, css, webview});
+
+		this.listeners.push(
+			vscode.workspace.onDidChangeTextDocument(({document})=>{
+				if(this.isShowing(document)) {this.update(document);}
+			}),
+			vscode.window.onDidChangeTextEditorSelection(e=>this.highlight(e)),
+			this.importWatcher.onDidChange(()=>this.update()),
+			webview.onDidReceiveMessage((message: PreviewMessage)=>this.receive(message)),
+			this.panel.onDidDispose(()=>this.dispose()),
+		);
+		if(follow){
+			this.listeners.push(vscode.window.onDidChangeActiveTextEditor(editor=>{
+				if(editor) {this.show(editor.document);}
+			}));
+		}
+	}
+
+	/**
+	 * Determines whether a document is the one being previewed
+	 * @param document
+	 */
+	isShowing(document: vscode.TextDocument): boolean{
+		return document.uri.toString() === this.document.uri.toString();
+	}
+
+	/**
+	 * The title of the panel, which names the document
+	 */
+	private title(): string{
+		let name = this.document.uri.path.split("/").pop();
+		return this.follow ? `PSVG Preview (Following) ${name}` : `PSVG Preview ${name}`;
+	}
+
+	/**
+	 * Switches the preview to another document (only .psvg.json documents are shown)
+	 * @param document - The document to preview
+	 */
+	show(document: vscode.TextDocument){
+		if(this.isShowing(document) || !document.uri.path.endsWith(".psvg.json")) {return;}
+		this.diagnostics.delete(this.document.uri);
+		this.document = document;
+		this.highlighted = undefined;
+		this.switched = true;
+		this.panel.title = this.title();
+		this.update();
+	}
+
+	/**
+	 * Reveals the panel and renders the document again
+	 */
+	reveal(){
+		this.panel.reveal();
+		this.update();
+	}
+
+	/**
+	 * Handles a message posted by the webview
+	 * @param message
+	 */
+	private receive(message: PreviewMessage){
+		switch(message.action){
+			case "update":
+				return this.update();
+			case "error":
+				if(!message.message) {return;}
+				return this.reportErrors([{message: message.message, path: message.path, offset: message.offset}]);
+			case "rendered":
+				if(message.errors?.length) {return this.reportErrors(message.errors);}
+				return this.diagnostics.delete(this.document.uri);
+			case "save":
+				if(!message.message) {return;}
+				return this.save(message.message);
+			case "writeback":
+				if(!message.name || message.value === undefined) {return;}
+				return this.writeBack(message.name, message.value, message.variant);
+			case "exportraster":
+				return this.exportRaster();
+			case "raster":
+				if(message.message) {return vscode.window.showErrorMessage(`PSVGExt failed to export raster images: ${message.message}`);}
+				return this.writeRaster(message.images ?? [], message.variant);
+			case "reveal":
+				return this.revealSource(message.sources ?? []);
+		}
+	}
+
+	/**
+	 * Sends the document (with its imports resolved) to the webview, or reports why it cannot be rendered
+	 * @param document - The latest version of the document (by default, the previewed document)
+	 */
+	async update(document = this.document){
+		this.document = document;
+		let {errors} = parseDocument(document);
+		if(errors.length){
+			this.diagnostics.set(document.uri, errors.map(error=>{
+				let range = new vscode.Range(document.positionAt(error.offset), document.positionAt(error.offset + error.length));
+				let diagnostic = new vscode.Diagnostic(range, `Invalid JSON: ${jsonc.printParseErrorCode(error.error)}`, vscode.DiagnosticSeverity.Error);
+				diagnostic.source = "PSVG";
+				return diagnostic;
+			}));
+			return;
+		}
+		let svg;
+		try{
+			svg = JSON.parse(document.getText());
+		}catch(e){
+			return;
+		}
+		let id = ++this.updates;
+		let {description, imports, error} = await resolveImports(this.context, document.uri, svg);
+		// The preview may have been closed or switched to another document in the meantime
+		if(id !== this.updates || this.disposed || !this.isShowing(document)) {return;}
+		this.importWatcher.watch(imports);
+		if(error) {return this.reportErrors([{message: error.message, path: error.path, offset: error.offset}]);}
+		this.panel.webview.postMessage({action: "update", svg: description, reset: this.switched});
+		this.switched = false;
+	}
+
+	/**
+	 * Displays errors raised by ParametricSVG as diagnostics at the locations that caused them
+	 * @param errors - The error messages, with the location in the document that caused each error (see ParametricSVGError)
+	 * and the offset in the string at that location
+	 */
+	private reportErrors(errors: {message: string; path?: JSONPath; offset?: number}[]){
+		let document = this.document;
+		let {tree} = parseDocument(document);
+		this.diagnostics.set(document.uri, errors.map(({message, path, offset})=>{
+			let range = (tree && path && rangeAtPath(document, tree, path, offset)) || new vscode.Range(0, 0, 0, 0);
+			let diagnostic = new vscode.Diagnostic(range, message, vscode.DiagnosticSeverity.Error);
+			diagnostic.source = "PSVG";
+			return diagnostic;
+		}));
+	}
+
+	/**
+	 * Selects the component which created an element clicked in the preview
+	 * @param sources - The locations of the instances which added the element and of its component (see ParametricSVG.SOURCEATTRIBUTE)
+	 */
+	private async revealSource(sources: JSONPath[]){
+		let document = this.document;
+		let {tree} = parseDocument(document);
+		if(!tree) {return;}
+		// The children of imported definitions are not in the document, so the innermost instance in the document is selected instead
+		let node = [...sources].reverse().map(path=>jsonc.findNodeAtLocation(tree!, path)).find(node=>node?.type === "object");
+		if(!node) {return;}
+		let selection = new vscode.Selection(document.positionAt(node.offset), document.positionAt(node.offset + node.length));
+		let viewColumn = vscode.window.visibleTextEditors.find(editor=>editor.document === document)?.viewColumn ?? vscode.ViewColumn.One;
+		let editor = await vscode.window.showTextDocument(document, {viewColumn, selection});
+		editor.revealRange(selection, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+	}
+
+	/**
+	 * Highlights the elements of the component at the cursor in the preview
+	 * @param e - The change of selection
+	 */
+	private highlight(e: vscode.TextEditorSelectionChangeEvent){
+		let document = e.textEditor.document;
+		if(!this.isShowing(document)) {return;}
+		let {tree} = parseDocument(document);
+		let path = tree ? componentPathAt(tree, document.offsetAt(e.selections[0].active)) ?? null : null;
+		let json = JSON.stringify(path);
+		if(json === this.highlighted) {return;}
+		this.highlighted = json;
+		this.panel.webview.postMessage({action: "highlight", path});
+	}
+
+	/**
+	 * Asks where to save the SVG rendered by the preview and writes it
+	 * @param svg - The SVG markup
+	 */
+	private async save(svg: string){
+		let root = Preview.lastSave ?? vscode.workspace.workspaceFolders?.[0].uri ?? null;
+		if(!root){
+			let parts = this.document.uri.path.split("/");
+			let r = parts.slice(0,-1).join("/");
+			root = vscode.Uri.file(r);
+		}
+		let location: vscode.Uri|undefined = await vscode.window.showSaveDialog({
+			// Would prefer to use the document, but it seems more straightforward/less
+			// error-prone to just use the workspace
+			defaultUri: root,
+			filters:{"SVG File": ["svg"]},
+			title:"Save SVG File"}
+		);
+		if(!location) {return;}
+		Preview.lastSave = location;
+		let encoded = new TextEncoder().encode(svg);
+		vscode.workspace.fs.writeFile(location, encoded);
+	}
+
+	/**
+	 * Asks for the sizes, format, padding, background and destination of raster images and
+	 * requests them from the preview (see writeRaster)
+	 */
+	async exportRaster(){
+		let lastRaster = Preview.lastRaster;
+		let title = "Export Raster Images";
+		let sizes = await vscode.window.showInputBox({
+			title, prompt: "Sizes (width and height) in pixels, separated by commas",
+			value: lastRaster.sizes.join(", "),
+			validateInput: value=>parseSizes(value) ? undefined : "Sizes must be positive whole numbers"
+		});
+		if(sizes === undefined) {return;}
+		let formats = [{label: "PNG", format: "png" as const}, {label: "WebP", format: "webp" as const}];
+		// List the last format used first
+		if(lastRaster.format === "webp") {formats.reverse();}
+		let format = await vscode.window.showQuickPick(formats, {title, placeHolder: "Image format"});
+		if(!format) {return;}
+		let padding = await vscode.window.showInputBox({
+			title, prompt: "Padding on each side, as a percentage of the image size",
+			value: String(lastRaster.padding),
+			validateInput: value=>{
+				let padding = Number(value);
+				return value.trim() && padding >= 0 && padding < 50 ? undefined : "Padding must be a number from 0 to less than 50";
+			}
+		});
+		if(padding === undefined) {return;}
+		let background = await vscode.window.showInputBox({
+			title, prompt: "Background color (e.g.- #ffffff); leave empty for a transparent background",
+			value: lastRaster.background
+		});
+		if(background === undefined) {return;}
+
+		let source = vscode.Uri.joinPath(this.document.uri, "..");
+		let destination = await vscode.window.showQuickPick([
+			{label: "Next to the source file", folder: source as vscode.Uri|undefined},
+			{label: "Choose a folder...", folder: undefined}
+		], {title, placeHolder: "Destination"});
+		if(!destination) {return;}
+		let folder = destination.folder;
+		if(!folder){
+			folder = (await vscode.window.showOpenDialog({canSelectFiles: false, canSelectFolders: true, defaultUri: Preview.lastRasterFolder ?? source, title}))?.[0];
+			if(!folder) {return;}
+		}
+
+		Preview.lastRaster = {sizes: parseSizes(sizes)!, format: format.format, padding: Number(padding), background: background.trim()};
+		Preview.lastRasterFolder = folder;
+		this.rasterFolder = folder;
+		this.panel.webview.postMessage({action: "rasterize", ...Preview.lastRaster});
+	}
+
+	/**
+	 * Writes the raster images created by the preview to the folder chosen in exportRaster.
+	 * Images are named after the source file, the variant being previewed and their size.
+	 * @param images - The images
+	 * @param variant - The variant being previewed
+	 */
+	private async writeRaster(images: RasterImage[], variant?: string){
+		let folder = this.rasterFolder;
+		if(!folder) {return;}
+		let name = this.document.uri.path.split("/").pop()!.replace(/\.psvg\.json$|\.json$/, "");
+		if(variant) {name += `.${variant}`;}
+		let written: string[] = [];
+		for(let {size, data} of images){
+			let file = `${name}-${size}.${Preview.lastRaster.format}`;
+			await vscode.workspace.fs.writeFile(vscode.Uri.joinPath(folder, file), Buffer.from(data, "base64"));
+			written.push(file);
+		}
+		vscode.window.showInformationMessage(`Exported ${written.join(", ")} to ${folder.fsPath}`);
+	}
+
+	/**
+	 * Replaces the value of an equation in the previewed document. When a variant is selected, the value
+	 * is written to the variant instead (adding it to the variant if the variant does not override the equation).
+	 * @param name - The name of the equation
+	 * @param value - The new value of the equation
+	 * @param variant - The variant selected in the preview ("" or undefined for the equations' values)
+	 */
+	private async writeBack(name: string, value: number, variant?: string){
+		let document = this.document;
+		let tree = jsonc.parseTree(document.getText());
+		let path: JSONPath = variant ? ["variants", variant, name] : ["equations", name, "value"];
+		let node = tree && jsonc.findNodeAtLocation(tree, path);
+		let edit = new vscode.WorkspaceEdit();
+		if(node){
+			// Preserve the type of the original value (the schema prefers strings, but numbers are accepted)
+			let text = node.type === "number" ? String(value) : JSON.stringify(String(value));
+			edit.replace(document.uri, new vscode.Range(document.positionAt(node.offset), document.positionAt(node.offset + node.length)), text);
+		}else if(variant && tree && jsonc.findNodeAtLocation(tree, ["variants", variant])?.type === "object"){
+			let editor = vscode.window.visibleTextEditors.find(editor=>editor.document === document);
+			let formattingOptions = {tabSize: Number(editor?.options.tabSize ?? 4), insertSpaces: editor?.options.insertSpaces !== false};
+			for(let {offset, length, content} of jsonc.modify(document.getText(), path, String(value), {formattingOptions})){
+				edit.replace(document.uri, new vscode.Range(document.positionAt(offset), document.positionAt(offset + length)), content);
+			}
+		}else{
+			return vscode.window.showErrorMessage(variant ? `PSVGExt could not find variant "${variant}"` : `PSVGExt could not find the value of equation "${name}"`);
+		}
+		return vscode.workspace.applyEdit(edit);
+	}
+
+	/**
+	 * Closes the panel and stops listening for changes
+	 */
+	dispose(){
+		// Called again when the panel is disposed
+		if(this.disposed) {return;}
+		this.disposed = true;
+		this.diagnostics.delete(this.document.uri);
+		this.listeners.forEach(listener=>listener.dispose());
+		this.listeners = [];
+		this.importWatcher.dispose();
+		this.panel.dispose();
+		this.disposeEmitter.fire();
+		this.disposeEmitter.dispose();
+	}
+}
+
+/**
+ * Parses a comma separated list of sizes
+ * @param value - The list of sizes
+ * @returns The sizes, or undefined if any size is not a positive integer
+ */
+function parseSizes(value: string): number[]|undefined{
+	let sizes = value.split(",").map(size=>size.trim()).filter(size=>size);
+	if(!sizes.length || sizes.some(size=>!/^\d+$/.test(size) || Number(size) < 1)) {return undefined;}
+	return [...new Set(sizes.map(Number))];
+}
+
+function buildPage(options: { script: vscode.Uri|null , css: vscode.Uri|null, webview: vscode.Webview}){
+	let script = options.script ?? null;
+	let css = options.css ?? null;
+	let webview = options.webview ?? null;
+	// Allows the preview to apply the document's <style> elements (see applyStyles in js/script.js)
+	let nonce = randomBytes(16).toString("base64");
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>PSVG Preview</title>
+	<meta
+		http-equiv="Content-Security-Policy"
+		content="default-src 'none'; script-src ${webview.cspSource}; style-src ${webview.cspSource} 'nonce-${nonce}'; img-src ${webview.cspSource} data:;"
+	/>
+	${css ? `<link rel="stylesheet" href="${css}" />` : ''}
+	<style id="documentstyles" nonce="${nonce}"></style>
+</head>
+<body>
+	<p id="sizep">Displayed Size: <span id="size"></span></p>
+	<div id="sizesub">
+		<p>Scroll: zoom around the cursor (+ Ctrl, + Ctrl + Shift, + Ctrl + Shift + Alt: smaller steps)</p>
+		<p>Drag: pan, Double-click: fit to the preview</p>
+	</div>
+	<p id="viewp">
+		<button id="fit">Fit</button>
+		<label><input type="checkbox" id="grid" /> Grid</label>
+		<label><input type="checkbox" id="rulers" /> Rulers</label>
+		<span id="cursor"></span>
+	</p>
+	<p id="variantp" hidden>Variant: <select id="variant"></select></p>
+	<details id="parameters" hidden open>
+		<summary>Parameters</summary>
+		<div id="parameterlist"></div>
+	</details>
+	<div id="svg"><svg></svg><svg id="overlay"></svg></div>
+	<button id="save">Save SVG</button>
+	<button id="exportraster">Export PNG/WebP</button>
+	${script ? `<script src="${script}" type="module"></script>` : '<h1>Could not load Evaluator</h1>'}
+</body>
+</html>`;
+}
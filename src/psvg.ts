@@ -0,0 +1,65 @@
+import * as vscode from 'vscode';
+import { pathToFileURL } from 'url';
+
+/*
+ * The ParametricSVG library (js/) is written as ES Modules for the preview's webview.
+ * The extension host loads the same modules with a dynamic import so that its results
+ * never diverge from the preview's.
+ */
+
+export interface Variable { name?: string; value?: string|number; disabled?: boolean; comment?: string; error?: Error; [key: string]: unknown }
+export type Variables = Record<string, Variable>;
+export type Overrides = Record<string, string|number>;
+
+export interface EquationNode { type: string; start: number; end: number; name?: string }
+export interface Token { type: string; value: string; start: number; end: number }
+export interface CompiledEquations { variables: Record<string, Variable & {dependencies: string[]}>; order: string[]; resolve(overrides?: Overrides): Variables }
+
+export interface EquationsModule {
+	evaluateEquation(equation: string|number, variables?: Variables): number;
+	compileEquations(variables: Variables): CompiledEquations;
+	parseEquation(equation: string|number): EquationNode;
+	tokenize(equation: string|number): Token[];
+	getReferences(node: EquationNode): string[];
+	CONSTANTS: Record<string, number>;
+	FUNCTIONS: Record<string, {args?: number; func: Function}>;
+}
+
+export interface ReferenceIssue { type: "missing"|"duplicate"|"unused"; id: string; message: string; path: (string|number)[]; offset: number; instances: (string|number)[][] }
+
+export interface ParametricSVGModule {
+	ParametricSVG: {
+		evaluator: EquationsModule["evaluateEquation"]|null;
+		compiler: EquationsModule["compileEquations"]|null;
+		getEquations(description: any): Variables;
+		getVariant(description: any, variant?: string, overrides?: Overrides): Overrides;
+		compileEquations(description: any, compiler?: EquationsModule["compileEquations"]): CompiledEquations;
+		checkReferences(description: any, overrides?: Overrides): ReferenceIssue[];
+		resolveImports(description: any, location: string, load: (url: string)=>unknown): Promise<{description: any; imports: string[]}>;
+		renderString(description: any, evaluator?: EquationsModule["evaluateEquation"], overrides?: Overrides, declaration?: boolean): string;
+	};
+}
+
+export interface SVGImportModule {
+	importSVG(markup: string): {description: any; warnings: string[]};
+}
+
+export interface PSVGLibrary { equations: EquationsModule; psvg: ParametricSVGModule; svgimport: SVGImportModule }
+
+let library: Promise<PSVGLibrary>|undefined;
+
+/**
+ * Loads the ParametricSVG library and configures its default evaluator and compiler
+ * @param extensionUri - The root of the extension
+ */
+export function loadPSVG(extensionUri: vscode.Uri): Promise<PSVGLibrary>{
+	if(!library){
+		let load = (name: string)=>import(pathToFileURL(vscode.Uri.joinPath(extensionUri, "js", name).fsPath).href);
+		library = Promise.all([load("equations.js"), load("parametricsvg.js"), load("svgimport.js")]).then(([equations, psvg, svgimport]: [EquationsModule, ParametricSVGModule, SVGImportModule])=>{
+			psvg.ParametricSVG.evaluator = equations.evaluateEquation;
+			psvg.ParametricSVG.compiler = equations.compileEquations;
+			return {equations, psvg, svgimport};
+		});
+	}
+	return library;
+}
@@ -0,0 +1,91 @@
+import * as vscode from 'vscode';
+import * as jsonc from 'jsonc-parser';
+import { JSONPath, findParameters, findRepeatScopes, isEquationPath, stringOffset } from './document';
+import { EquationsModule } from './psvg';
+
+/** Matches valid variable names */
+export const VARIABLENAMEREG = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * An occurrence of an equation's name in a document
+ *  - definition: the equation's key in equations
+ *  - name: the name field of the equation
+ *  - variant: the equation's key in a variant
+ *  - reference: a variable in an equation string
+ */
+export interface VariableOccurrence {
+	name: string;
+	kind: "definition"|"name"|"variant"|"reference";
+	range: vscode.Range;
+}
+
+/**
+ * Returns the range of a string node's value (excluding its quotes)
+ * @param document - The document containing the node
+ * @param node - The string node
+ */
+function innerRange(document: vscode.TextDocument, node: jsonc.Node): vscode.Range{
+	return new vscode.Range(document.positionAt(node.offset + 1), document.positionAt(node.offset + node.length - 1));
+}
+
+/**
+ * Finds every occurrence of equation names in a document. Equation strings are tokenized with the
+ * same grammar as evaluateEquation: identifiers followed by an opening parenthesis are function calls
+ * and equations which cannot be tokenized (e.g.- colors such as "#fff") are skipped.
+ * @param document - The document to search
+ * @param tree - The parsed document (see parseDocument)
+ * @param equations - The equations module used to tokenize equations
+ */
+export function findOccurrences(document: vscode.TextDocument, tree: jsonc.Node, equations: EquationsModule): VariableOccurrence[]{
+	let text = document.getText();
+	let occurrences: VariableOccurrence[] = [];
+
+	function visit(node: jsonc.Node, path: JSONPath){
+		if(node.type === "object"){
+			for(let property of node.children ?? []){
+				let [key, value] = property.children ?? [];
+				if(!key || !value) {continue;}
+				let name = String(key.value);
+				if(path.length === 1 && path[0] === "equations"){
+					occurrences.push({name, kind: "definition", range: innerRange(document, key)});
+					let field = jsonc.findNodeAtLocation(value, ["name"]);
+					if(field?.type === "string") {occurrences.push({name, kind: "name", range: innerRange(document, field)});}
+				}else if(path.length === 2 && path[0] === "variants"){
+					occurrences.push({name, kind: "variant", range: innerRange(document, key)});
+				}
+				visit(value, [...path, name]);
+			}
+		}else if(node.type === "array"){
+			node.children?.forEach((child, i)=>visit(child, [...path, i]));
+		}else if(node.type === "string" && isEquationPath(path)){
+			let tokens;
+			try{
+				tokens = equations.tokenize(node.value);
+			}catch(e){
+				return;
+			}
+			// Inside component definitions, parameters take precedence over equations with the same name,
+			// and inside repeats, so do the repeats' index and count variables
+			let locals = [
+				...findParameters(tree, path).map(({name})=>name),
+				...findRepeatScopes(tree, path).flatMap(({index, countAs})=>countAs ? [index, countAs] : [index])
+			];
+			tokens.forEach((token, i)=>{
+				if(token.type !== "identifier" || tokens[i+1]?.type === "(" || locals.includes(token.value)) {return;}
+				let range = new vscode.Range(document.positionAt(stringOffset(text, node, token.start)), document.positionAt(stringOffset(text, node, token.end)));
+				occurrences.push({name: token.value, kind: "reference", range});
+			});
+		}
+	}
+	visit(tree, []);
+	return occurrences;
+}
+
+/**
+ * Returns the occurrence at the given position
+ * @param occurrences - The occurrences in the document (see findOccurrences)
+ * @param position - The position to search at
+ */
+export function getOccurrenceAt(occurrences: VariableOccurrence[], position: vscode.Position): VariableOccurrence|undefined{
+	return occurrences.find(occurrence=>occurrence.range.contains(position));
+}
@@ -0,0 +1,43 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import { EquationsModule, ParametricSVGModule, SVGImportModule } from '../psvg';
+
+/** The root of the extension (the tests are compiled to out/test) */
+const ROOT = path.resolve(__dirname, "../..");
+
+/**
+ * Loads a module of the ParametricSVG library (js/)
+ * @param name - The file name of the module
+ */
+function load<T>(name: string): Promise<T>{
+	return import(pathToFileURL(path.join(ROOT, "js", name)).href);
+}
+
+suite("importSVG", ()=>{
+	let psvg: ParametricSVGModule["ParametricSVG"];
+	let importSVG: SVGImportModule["importSVG"];
+
+	suiteSetup(async ()=>{
+		let equations = await load<EquationsModule>("equations.js");
+		psvg = (await load<ParametricSVGModule>("parametricsvg.js")).ParametricSVG;
+		psvg.evaluator = equations.evaluateEquation;
+		psvg.compiler = equations.compileEquations;
+		importSVG = (await load<SVGImportModule>("svgimport.js")).importSVG;
+	});
+
+	test("imported icon renders the original markup", ()=>{
+		let markup = fs.readFileSync(path.join(ROOT, "content", "icon.svg"), "utf8").trim();
+		let {description} = importSVG(markup);
+		assert.strictEqual(psvg.renderString(description, undefined, undefined, true), markup);
+	});
+
+	test("content rejected by the sanitizer is removed so the import renders", ()=>{
+		let markup = `<svg xmlns="http://www.w3.org/2000/svg"><image href="x.png" width="10"/><script>alert(1)</script></svg>`;
+		let {description, warnings} = importSVG(markup);
+		assert.strictEqual(psvg.renderString(description), `<svg xmlns="http://www.w3.org/2000/svg"><image width="10"></image></svg>`);
+		assert.ok(warnings.some(warning=>warning.includes(`"href" of <image>`)));
+		assert.ok(warnings.some(warning=>warning.startsWith("Removed <script>")));
+	});
+});